@@ -9,9 +9,25 @@ const waitlistRoutes = require("./routes/waitlist");
 const goalsRoutes = require("./routes/goals");
 const dailyTasksRoutes = require("./routes/dailyTasks");
 const quizRoutes = require("./routes/quizzes");
+const adminRoutes = require("./routes/admin");
+const flagRoutes = require("./routes/flags");
+const { watchFlagChanges } = require("./utils/featureFlags");
+const { maintenanceGuard, readOnlyGuard } = require("./middleware/maintenance");
+const { csrfProtection, CSRF_HEADER } = require("./middleware/csrf");
+const { getMaintenanceState } = require("./utils/maintenance");
+const { purgeDueAccounts } = require("./utils/accountData");
+const { initKeyring, getJwks } = require("./utils/jwtKeys");
+
+// How often accounts past their deletion grace period are purged
+const ACCOUNT_PURGE_INTERVAL_MS = 60 * 60 * 1000;
 
 const app = express();
 const PORT = process.env.PORT || 9000;
+
+// Behind Render's proxy in production; needed for real client IPs in req.ip
+if (process.env.NODE_ENV === "production") {
+  app.set("trust proxy", 1);
+}
 const http = require("http");
 const server = http.createServer(app);
 const { Server } = require("socket.io");
@@ -73,6 +89,7 @@ app.use(
       "Origin",
       "Cache-Control",
       "Pragma",
+      CSRF_HEADER,
     ],
     exposedHeaders: ["Set-Cookie"],
     optionsSuccessStatus: 200,
@@ -95,7 +112,7 @@ app.options("*", (req, res) => {
   );
   res.header(
     "Access-Control-Allow-Headers",
-    "Content-Type, Authorization, Content-Length, X-Requested-With, Accept, Origin, Cache-Control, Pragma"
+    `Content-Type, Authorization, Content-Length, X-Requested-With, Accept, Origin, Cache-Control, Pragma, ${CSRF_HEADER}`
   );
   res.header("Access-Control-Allow-Credentials", "true");
   res.header("Access-Control-Max-Age", "86400"); // 24 hours
@@ -107,6 +124,21 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("Connected to MongoDB successfully");
+    // Refuse to serve rather than sign with keys nobody can verify
+    initKeyring().catch((error) => {
+      console.error("JWT keyring init error:", error);
+      process.exit(1);
+    });
+    watchFlagChanges();
+
+    const runAccountPurge = () =>
+      purgeDueAccounts()
+        .then((count) => {
+          if (count) console.log(`Purged ${count} deleted account(s)`);
+        })
+        .catch((error) => console.error("Account purge error:", error));
+    runAccountPurge();
+    setInterval(runAccountPurge, ACCOUNT_PURGE_INTERVAL_MS).unref();
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error);
@@ -115,11 +147,15 @@ mongoose
 
 // Routes
 console.log("Registering API routes...");
+app.use("/api", maintenanceGuard);
+app.use("/api", csrfProtection);
 app.use("/api/auth", authRoutes);
 app.use("/api/waitlist", waitlistRoutes);
-app.use("/api/goals", goalsRoutes);
-app.use("/api/daily-tasks", dailyTasksRoutes);
-app.use("/api/quizzes", quizRoutes);
+app.use("/api/goals", readOnlyGuard, goalsRoutes);
+app.use("/api/daily-tasks", readOnlyGuard, dailyTasksRoutes);
+app.use("/api/quizzes", readOnlyGuard, quizRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/flags", flagRoutes);
 console.log("API routes registered successfully");
 
 // Health check endpoint
@@ -131,6 +167,29 @@ app.get("/api/health", (req, res) => {
   });
 });
 
+// Public keys for services that verify our tokens (asymmetric keys only)
+app.get("/.well-known/jwks.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300");
+  res.json(getJwks());
+});
+
+// Maintenance status for the frontend banner
+app.get("/api/maintenance", async (req, res) => {
+  try {
+    const { mode, message, endsAt } = await getMaintenanceState();
+    res.json({
+      success: true,
+      maintenance: { mode, message: mode === "off" ? null : message, endsAt },
+    });
+  } catch (error) {
+    console.error("Maintenance status error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
 // 404 handler
 app.use("*", (req, res) => {
   res.status(404).json({
@@ -0,0 +1,65 @@
+const {
+  isDisposableEmail,
+  containsProfanity,
+  isHoneypotTripped,
+} = require("../utils/abuseGuard");
+const { getClientInfo } = require("../utils/sessionUtils");
+
+// Hidden form field that only bots fill in
+const DEFAULT_HONEYPOT_FIELD = "website";
+
+/**
+ * Reject bot and abusive submissions to a public form
+ * @param {Object} options - { form, honeypotField, emailField,
+ *   displayNameFields } where form names the endpoint in logs
+ * @returns {Function} - Express middleware
+ */
+const guardPublicForm = ({
+  form,
+  honeypotField = DEFAULT_HONEYPOT_FIELD,
+  emailField,
+  displayNameFields = [],
+}) => {
+  return async (req, res, next) => {
+    try {
+      const body = req.body || {};
+
+      if (honeypotField && isHoneypotTripped(body, honeypotField)) {
+        console.warn(
+          `Honeypot tripped on ${form} from ${getClientInfo(req).ip}`
+        );
+        return res.status(400).json({
+          success: false,
+          message: "Unable to process this request",
+        });
+      }
+
+      if (emailField && body[emailField]) {
+        if (await isDisposableEmail(body[emailField])) {
+          return res.status(400).json({
+            success: false,
+            message: "Please use a permanent email address",
+          });
+        }
+      }
+
+      const offensiveField = displayNameFields.find(
+        (field) => body[field] && containsProfanity(body[field])
+      );
+      if (offensiveField) {
+        return res.status(400).json({
+          success: false,
+          message: `Please choose a different ${offensiveField}`,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // A broken blocklist lookup should not take the form down
+      console.error(`Abuse guard (${form}) error:`, error);
+      next();
+    }
+  };
+};
+
+module.exports = { guardPublicForm, DEFAULT_HONEYPOT_FIELD };
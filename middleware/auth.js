@@ -1,6 +1,66 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { getTokenFromRequest } = require("../utils/sessionUtils");
+const Session = require("../models/Session");
+const AccessToken = require("../models/AccessToken");
+const {
+  getTokenFromRequest,
+  verifyAccessToken,
+  getClientInfo,
+} = require("../utils/sessionUtils");
+const { isVerificationRequired } = require("../utils/emailVerification");
+const { isTwoFactorRequiredFor } = require("../utils/twoFactor");
+const { hasPermission, isAdminPermission } = require("../utils/permissions");
+const { getRequiredScope } = require("../utils/tokenScopes");
+
+// Authenticate a personal access token sent as "Authorization: Bearer zgp_..."
+// and check that it carries the scope this route needs
+const authenticateAccessToken = async (req, res, next, token) => {
+  const accessToken = await AccessToken.findActiveByToken(token);
+
+  if (!accessToken) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid, expired or revoked access token.",
+    });
+  }
+
+  const requiredScope = getRequiredScope(req);
+
+  if (!requiredScope) {
+    return res.status(403).json({
+      success: false,
+      message: "Personal access tokens cannot be used for this endpoint.",
+      code: "TOKEN_NOT_ALLOWED",
+    });
+  }
+
+  if (!accessToken.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `This access token is missing the ${requiredScope} scope.`,
+      code: "INSUFFICIENT_SCOPE",
+      scope: requiredScope,
+    });
+  }
+
+  const user = await User.findOne({ userId: accessToken.userId }).select(
+    "-password"
+  );
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid token or user not found.",
+    });
+  }
+
+  await accessToken.touch(getClientInfo(req));
+
+  req.user = user;
+  req.userId = user.userId;
+  req.authSession = null; // Token requests have no server-side session
+  req.accessToken = accessToken;
+  next();
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -14,8 +74,22 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    if (token.startsWith(AccessToken.ACCESS_TOKEN_PREFIX)) {
+      return await authenticateAccessToken(req, res, next, token);
+    }
+
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Reject tokens whose session was revoked (logout, reuse detection, ...)
+    const session = await Session.findActive(decoded.sid);
+
+    if (!session || session.userId !== decoded.userId) {
+      return res.status(401).json({
+        success: false,
+        message: "Session expired or revoked.",
+      });
+    }
 
     // Get user from database using custom userId
     const user = await User.findOne({ userId: decoded.userId }).select(
@@ -29,8 +103,12 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Keep the device list's "last seen" information current
+    await session.touch(getClientInfo(req));
+
     req.user = user;
     req.userId = user.userId; // Add custom userId to request for convenience
+    req.authSession = session; // Server-side session behind this token
     next();
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
@@ -54,4 +132,103 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Resolve the user behind a request's token (session JWT or personal access
+// token) without rejecting it; for global middleware that only needs to know
+// who is calling. Scopes are not checked here, the route's own
+// authenticateToken does that. Returns null for anonymous, invalid or
+// revoked credentials.
+const findRequestUser = async (req) => {
+  try {
+    const token = getTokenFromRequest(req);
+    if (!token) return null;
+
+    if (token.startsWith(AccessToken.ACCESS_TOKEN_PREFIX)) {
+      const accessToken = await AccessToken.findActiveByToken(token);
+      if (!accessToken) return null;
+
+      const user = await User.findOne({ userId: accessToken.userId }).select(
+        "-password"
+      );
+      return user && user.isActive ? user : null;
+    }
+
+    const decoded = verifyAccessToken(token);
+    const session = await Session.findActive(decoded.sid);
+    if (!session || session.userId !== decoded.userId) return null;
+
+    const user = await User.findOne({ userId: decoded.userId }).select(
+      "-password"
+    );
+    return user && user.isActive ? user : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Guard: block unverified accounts from an action when the matching
+// email verification setting is enabled. Use after authenticateToken.
+const requireVerifiedEmail = (action) => async (req, res, next) => {
+  try {
+    if (req.user.emailVerified) return next();
+
+    if (await isVerificationRequired(action)) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address first",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("Email verification check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+};
+
+// Guard: require one or more named capabilities (see utils/permissions).
+// Admin-only capabilities also require 2FA when the admin 2FA setting is on.
+const requirePermission =
+  (...permissions) =>
+  async (req, res, next) => {
+    const missing = permissions.find(
+      (permission) => !hasPermission(req.user, permission)
+    );
+
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have permission to perform this action",
+        permission: missing,
+      });
+    }
+
+    try {
+      if (
+        permissions.some(isAdminPermission) &&
+        !req.user.twoFactorEnabled &&
+        (await isTwoFactorRequiredFor(req.user))
+      ) {
+        return res.status(403).json({
+          success: false,
+          message: "Enable two-factor authentication to use admin features",
+          code: "TWO_FACTOR_REQUIRED",
+        });
+      }
+    } catch (error) {
+      console.error("Admin 2FA check error:", error);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
+
+    next();
+  };
+
+module.exports = {
+  authenticateToken,
+  findRequestUser,
+  requirePermission,
+  requireVerifiedEmail,
+};
@@ -0,0 +1,83 @@
+const { generateSecureToken, safeEqual } = require("../utils/cryptoUtils");
+const { COOKIE_CONFIG } = require("../utils/sessionUtils");
+
+/**
+ * CSRF protection for cookie-authenticated requests (double-submit token).
+ *
+ * GET /api/auth/csrf-token stores a random token in an httpOnly cookie and
+ * returns the same value in the body; state-changing requests must echo it
+ * in the X-CSRF-Token header. Only allowed origins can read the response
+ * (CORS) and a cross-site form cannot set the header, so a forged request
+ * never carries a matching pair. Requests without session cookies (Bearer
+ * API clients) are exempt; an Authorization header alone does not exempt a
+ * request that also carries session cookies, since those cookies may be
+ * what actually authenticates it.
+ */
+
+const CSRF_COOKIE = "csrfToken";
+const CSRF_HEADER = "X-CSRF-Token";
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+// Session cookies that make a request cookie-authenticated
+const SESSION_COOKIES = ["token", "refreshToken"];
+
+// These routes start a session rather than act on one, so a stale session
+// cookie without a CSRF token must not block them
+const EXEMPT_PATHS = [
+  "/api/auth/login",
+  "/api/auth/login/2fa",
+  "/api/auth/signup",
+];
+
+// Magic-link sign-in: POST /api/auth/magic-link/:token
+const MAGIC_LINK_PATH = /^\/api\/auth\/magic-link\/[^/]+$/;
+
+const CSRF_COOKIE_CONFIG = {
+  ...COOKIE_CONFIG,
+  path: "/",
+};
+
+/**
+ * Return the CSRF token for this browser, creating and storing one when
+ * the cookie is missing
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {String} - Token to send in the X-CSRF-Token header
+ */
+const issueCsrfToken = (req, res) => {
+  const token = req.cookies[CSRF_COOKIE] || generateSecureToken();
+  // Re-set on every call so the cookie lives as long as the session
+  res.cookie(CSRF_COOKIE, token, CSRF_COOKIE_CONFIG);
+  return token;
+};
+
+const hasSessionCookie = (req) =>
+  SESSION_COOKIES.some((name) => Boolean(req.cookies[name]));
+
+// Global guard: cookie-authenticated writes need a matching CSRF token
+const csrfProtection = (req, res, next) => {
+  if (
+    SAFE_METHODS.includes(req.method) ||
+    EXEMPT_PATHS.includes(req.baseUrl + req.path) ||
+    MAGIC_LINK_PATH.test(req.baseUrl + req.path) ||
+    !hasSessionCookie(req)
+  ) {
+    return next();
+  }
+
+  const cookieToken = req.cookies[CSRF_COOKIE];
+  const headerToken = req.header(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken || !safeEqual(cookieToken, headerToken)) {
+    return res.status(403).json({
+      success: false,
+      message: "Invalid or missing CSRF token.",
+      code: "CSRF_INVALID",
+    });
+  }
+
+  next();
+};
+
+module.exports = { csrfProtection, issueCsrfToken, CSRF_COOKIE, CSRF_HEADER };
@@ -0,0 +1,123 @@
+const { findRequestUser } = require("./auth");
+const {
+  getMaintenanceState,
+  getRetryAfterSeconds,
+} = require("../utils/maintenance");
+
+// Reachable during full maintenance so admins can still sign in (with any
+// login method) and the frontend can show the maintenance banner. The
+// sign-in handlers turn everyone else away with rejectDuringMaintenance
+// once they know who is signing in.
+const FULL_MODE_EXEMPT_PATHS = [
+  "/api/health",
+  "/api/maintenance",
+  "/api/auth/login",
+  "/api/auth/login/2fa",
+  "/api/auth/magic-link",
+  "/api/auth/magic-link-status",
+  "/api/auth/oidc/status",
+  "/api/auth/oidc/login",
+  "/api/auth/oidc/callback",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+];
+
+// Checking and redeeming a magic link: /api/auth/magic-link/:token
+const MAGIC_LINK_PATH = /^\/api\/auth\/magic-link\/[^/]+$/;
+
+const WRITE_METHODS = ["POST", "PUT", "PATCH", "DELETE"];
+
+const sendMaintenance = (res, state) => {
+  const retryAfterSeconds = getRetryAfterSeconds(state);
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(503).json({
+    success: false,
+    message: state.message,
+    code: state.mode === "full" ? "MAINTENANCE" : "READ_ONLY",
+    retryAfterSeconds,
+  });
+};
+
+// Global guard: in full maintenance mode only admins get through
+const maintenanceGuard = async (req, res, next) => {
+  try {
+    const state = await getMaintenanceState();
+    if (
+      state.mode !== "full" ||
+      FULL_MODE_EXEMPT_PATHS.includes(req.baseUrl + req.path) ||
+      MAGIC_LINK_PATH.test(req.baseUrl + req.path)
+    ) {
+      return next();
+    }
+
+    const user = await findRequestUser(req);
+    if (user && user.role === "admin") return next();
+
+    return sendMaintenance(res, state);
+  } catch (error) {
+    // Fail open: a settings lookup error should not take the API down
+    console.error("Maintenance check error:", error);
+    next();
+  }
+};
+
+/**
+ * Turn a non-admin away during full maintenance. For the sign-in routes
+ * exempt from maintenanceGuard, which only learn the user from the
+ * credentials they check.
+ * @param {Object} res - Express response object
+ * @param {Object} user - User signing in
+ * @returns {Promise<Boolean>} - True when the maintenance response was sent
+ */
+const rejectDuringMaintenance = async (res, user) => {
+  try {
+    const state = await getMaintenanceState();
+    if (state.mode !== "full" || user.role === "admin") return false;
+
+    sendMaintenance(res, state);
+    return true;
+  } catch (error) {
+    // Fail open, like maintenanceGuard
+    console.error("Maintenance check error:", error);
+    return false;
+  }
+};
+
+/**
+ * Whether full maintenance keeps this user from signing in, for sign-in
+ * flows that answer with a redirect rather than JSON
+ * @param {Object} user - User signing in
+ * @returns {Promise<Boolean>}
+ */
+const isLockedOutByMaintenance = async (user) => {
+  try {
+    const state = await getMaintenanceState();
+    return state.mode === "full" && user.role !== "admin";
+  } catch (error) {
+    console.error("Maintenance check error:", error);
+    return false;
+  }
+};
+
+// Router guard: in read-only mode reads still work but writes are rejected.
+// Full mode is handled by maintenanceGuard, which lets admins through.
+const readOnlyGuard = async (req, res, next) => {
+  if (!WRITE_METHODS.includes(req.method)) return next();
+
+  try {
+    const state = await getMaintenanceState();
+    if (state.mode !== "read_only") return next();
+
+    return sendMaintenance(res, state);
+  } catch (error) {
+    console.error("Read-only check error:", error);
+    next();
+  }
+};
+
+module.exports = {
+  maintenanceGuard,
+  readOnlyGuard,
+  rejectDuringMaintenance,
+  isLockedOutByMaintenance,
+};
@@ -0,0 +1,45 @@
+const { getAttemptStore } = require("../utils/attemptStores");
+const { getClientInfo } = require("../utils/sessionUtils");
+
+/**
+ * Fixed-window per-IP rate limiter backed by the shared attempt store
+ * @param {Object} options - { name, windowMs, max, message }
+ * @returns {Function} - Express middleware
+ */
+const rateLimitByIp = ({
+  name,
+  windowMs,
+  max,
+  message = "Too many requests. Please try again later.",
+}) => {
+  return async (req, res, next) => {
+    try {
+      const { ip } = getClientInfo(req);
+      const record = await getAttemptStore().increment(
+        `rate:${name}:${ip}`,
+        windowMs
+      );
+
+      if (record.count > max) {
+        const retryAfterSeconds = Math.max(
+          1,
+          Math.ceil((record.expiresAt - Date.now()) / 1000)
+        );
+        res.set("Retry-After", String(retryAfterSeconds));
+        return res.status(429).json({
+          success: false,
+          message,
+          retryAfterSeconds,
+        });
+      }
+
+      next();
+    } catch (error) {
+      // Never lock everyone out because the counter store is unavailable
+      console.error(`Rate limit (${name}) error:`, error);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimitByIp };
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+const User = require("./models/User");
+require("dotenv").config();
+
+/**
+ * Migration script to mark accounts that existed before email verification
+ * as verified, so requiring verification for login does not lock them out.
+ * This should be run once before enabling emailVerificationRequiredForLogin.
+ *
+ * Accounts without an emailVerified field predate the feature. Pass a date
+ * (node migrate-email-verification.js 2026-01-31) to also include accounts
+ * created before it, e.g. if old accounts were saved since the deploy.
+ */
+
+const migrateEmailVerification = async (createdBefore = null) => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB for migration");
+
+    const conditions = [{ emailVerified: { $exists: false } }];
+    if (createdBefore) {
+      conditions.push({
+        emailVerified: false,
+        createdAt: { $lt: createdBefore },
+      });
+    }
+
+    const result = await User.updateMany(
+      { $or: conditions },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+    console.log(`Marked ${result.modifiedCount} existing users as verified`);
+
+    console.log("Migration completed successfully");
+  } catch (error) {
+    console.error("Migration failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  const [cutoff] = process.argv.slice(2);
+  const createdBefore = cutoff ? new Date(cutoff) : null;
+
+  if (createdBefore && Number.isNaN(createdBefore.getTime())) {
+    console.error(`Invalid date: ${cutoff}`);
+    process.exit(1);
+  }
+  migrateEmailVerification(createdBefore);
+}
+
+module.exports = { migrateEmailVerification };
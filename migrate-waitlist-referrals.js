@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const Waitlist = require("./models/Waitlist");
+require("dotenv").config();
+
+/**
+ * Migration script to give existing waitlist entries a queue priority,
+ * referral code, status token and unsubscribe token.
+ * This should be run once after adding waitlist referrals
+ */
+
+const migrateWaitlistReferrals = async () => {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB for migration");
+
+    // Queue priority defaults to the join date
+    const priorityResult = await Waitlist.updateMany(
+      { priorityAt: { $exists: false } },
+      [{ $set: { priorityAt: "$joinedAt", referralCount: 0 } }]
+    );
+    console.log(`Set priority on ${priorityResult.modifiedCount} entries`);
+
+    // Find entries created before referral codes existed
+    const entriesWithoutCodes = await Waitlist.find({
+      $or: [
+        { referralCode: { $exists: false } },
+        { statusToken: { $exists: false } },
+        { unsubscribeToken: { $exists: false } },
+      ],
+    });
+
+    console.log(`Found ${entriesWithoutCodes.length} entries without codes`);
+
+    for (const entry of entriesWithoutCodes) {
+      await Waitlist.updateOne(
+        { _id: entry._id },
+        {
+          $set: {
+            referralCode:
+              entry.referralCode ||
+              (await Waitlist.generateUniqueReferralCode()),
+            statusToken: entry.statusToken || Waitlist.generateStatusToken(),
+            unsubscribeToken:
+              entry.unsubscribeToken || Waitlist.generateStatusToken(),
+          },
+        }
+      );
+      console.log(`Updated waitlist entry ${entry.email}`);
+    }
+
+    console.log("Migration completed successfully");
+  } catch (error) {
+    console.error("Migration failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+};
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  migrateWaitlistReferrals();
+}
+
+module.exports = { migrateWaitlistReferrals };
@@ -0,0 +1,212 @@
+// Minimal OpenID Connect issuer for trying out and testing OIDC login locally.
+//
+//   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=zerogravity \
+//   OIDC_CLIENT_SECRET=mock-secret npm run mock-oidc
+//
+// Point the backend at the same OIDC_* values. Every authorization request
+// is approved straight away for the user in MOCK_OIDC_EMAIL (or the
+// login_hint query parameter), so no login page is involved.
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = Number(process.env.OIDC_MOCK_PORT) || 9400;
+const ISSUER = (process.env.OIDC_ISSUER || `http://localhost:${PORT}`).replace(
+  /\/+$/,
+  ""
+);
+const CLIENT_ID = process.env.OIDC_CLIENT_ID || "zerogravity";
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "mock-secret";
+const DEFAULT_EMAIL = process.env.MOCK_OIDC_EMAIL || "mock.user@example.com";
+const CODE_TTL_MS = 60 * 1000;
+
+const KID = "mock-key";
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+  modulusLength: 2048,
+});
+const publicJwk = {
+  ...publicKey.export({ format: "jwk" }),
+  kid: KID,
+  alg: "RS256",
+  use: "sig",
+};
+
+// Authorization code -> pending login
+const codes = new Map();
+
+const base64url = (value) =>
+  Buffer.from(
+    typeof value === "string" ? value : JSON.stringify(value)
+  ).toString("base64url");
+
+const signIdToken = (claims) => {
+  const header = base64url({ alg: "RS256", typ: "JWT", kid: KID });
+  const payload = base64url(claims);
+  const signature = crypto
+    .sign("sha256", Buffer.from(`${header}.${payload}`), privateKey)
+    .toString("base64url");
+  return `${header}.${payload}.${signature}`;
+};
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store",
+  });
+  res.end(JSON.stringify(body));
+};
+
+const readForm = (req) =>
+  new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => resolve(new URLSearchParams(body)));
+    req.on("error", reject);
+  });
+
+// Client credentials from HTTP Basic auth or the form body
+const getClientCredentials = (req, form) => {
+  const [scheme, encoded] = (req.headers.authorization || "").split(" ");
+  if (scheme === "Basic" && encoded) {
+    const [id, secret] = Buffer.from(encoded, "base64")
+      .toString("utf8")
+      .split(":")
+      .map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: form.get("client_id"), secret: form.get("client_secret") };
+};
+
+const handleAuthorize = (url, res) => {
+  const params = url.searchParams;
+  const redirectUri = params.get("redirect_uri");
+
+  if (params.get("client_id") !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: "invalid_request" });
+  }
+  if (
+    params.get("response_type") !== "code" ||
+    params.get("code_challenge_method") !== "S256" ||
+    !params.get("code_challenge")
+  ) {
+    return sendJson(res, 400, { error: "invalid_request" });
+  }
+
+  const email = (params.get("login_hint") || DEFAULT_EMAIL).toLowerCase();
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    email,
+    nonce: params.get("nonce"),
+    redirectUri,
+    codeChallenge: params.get("code_challenge"),
+    expiresAt: Date.now() + CODE_TTL_MS,
+  });
+
+  const callback = new URL(redirectUri);
+  callback.searchParams.set("code", code);
+  if (params.get("state")) {
+    callback.searchParams.set("state", params.get("state"));
+  }
+  res.writeHead(302, { Location: callback.toString() });
+  res.end();
+};
+
+const handleToken = async (req, res) => {
+  const form = await readForm(req);
+  const client = getClientCredentials(req, form);
+  if (client.id !== CLIENT_ID || client.secret !== CLIENT_SECRET) {
+    return sendJson(res, 401, { error: "invalid_client" });
+  }
+
+  const pending = codes.get(form.get("code"));
+  codes.delete(form.get("code"));
+  if (
+    form.get("grant_type") !== "authorization_code" ||
+    !pending ||
+    pending.expiresAt < Date.now() ||
+    pending.redirectUri !== form.get("redirect_uri")
+  ) {
+    return sendJson(res, 400, { error: "invalid_grant" });
+  }
+
+  const challenge = crypto
+    .createHash("sha256")
+    .update(form.get("code_verifier") || "")
+    .digest("base64url");
+  if (challenge !== pending.codeChallenge) {
+    return sendJson(res, 400, {
+      error: "invalid_grant",
+      error_description: "PKCE verification failed",
+    });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const [localPart] = pending.email.split("@");
+  sendJson(res, 200, {
+    access_token: crypto.randomBytes(24).toString("base64url"),
+    token_type: "Bearer",
+    expires_in: 3600,
+    id_token: signIdToken({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      sub: crypto.createHash("sha256").update(pending.email).digest("hex"),
+      email: pending.email,
+      email_verified: true,
+      name: `Mock ${localPart}`,
+      given_name: "Mock",
+      family_name: localPart,
+      nonce: pending.nonce,
+      iat: now,
+      exp: now + 300,
+    }),
+  });
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+
+  try {
+    if (
+      req.method === "GET" &&
+      url.pathname === "/.well-known/openid-configuration"
+    ) {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ["code"],
+        subject_types_supported: ["public"],
+        id_token_signing_alg_values_supported: ["RS256"],
+        code_challenge_methods_supported: ["S256"],
+        token_endpoint_auth_methods_supported: [
+          "client_secret_basic",
+          "client_secret_post",
+        ],
+      });
+    }
+    if (req.method === "GET" && url.pathname === "/jwks") {
+      return sendJson(res, 200, { keys: [publicJwk] });
+    }
+    if (req.method === "GET" && url.pathname === "/authorize") {
+      return handleAuthorize(url, res);
+    }
+    if (req.method === "POST" && url.pathname === "/token") {
+      return await handleToken(req, res);
+    }
+    sendJson(res, 404, { error: "not_found" });
+  } catch (error) {
+    console.error("Mock OIDC error:", error);
+    sendJson(res, 500, { error: "server_error" });
+  }
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock OIDC issuer running at ${ISSUER}`);
+    console.log(`client_id=${CLIENT_ID} default user=${DEFAULT_EMAIL}`);
+  });
+}
+
+module.exports = server;
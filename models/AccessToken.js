@@ -0,0 +1,154 @@
+const mongoose = require("mongoose");
+const { generateSecureToken, hashToken } = require("../utils/cryptoUtils");
+const { ALL_TOKEN_SCOPES } = require("../utils/tokenScopes");
+
+// Prefix that tells personal access tokens apart from session JWTs
+const ACCESS_TOKEN_PREFIX = "zgp_";
+
+const MAX_EXPIRY_DAYS = 365;
+
+// Only write lastUsedAt once per minute to keep authenticated requests cheap
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Personal access token schema - long-lived credentials for scripts.
+// Only the SHA-256 hash of the token is stored.
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Token name is required"],
+      trim: true,
+      maxlength: [60, "Token name cannot exceed 60 characters"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // First characters of the token, shown so users can tell tokens apart
+    tokenPreview: {
+      type: String,
+      required: true,
+    },
+    scopes: {
+      type: [String],
+      validate: {
+        validator: (scopes) =>
+          scopes.length > 0 &&
+          scopes.every((scope) => ALL_TOKEN_SCOPES.includes(scope)),
+        message: `Scopes must be one or more of: ${ALL_TOKEN_SCOPES.join(
+          ", "
+        )}`,
+      },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: "",
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Whether the token can still be used
+accessTokenSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Record usage of this token (throttled)
+accessTokenSchema.methods.touch = async function (meta = {}) {
+  const now = new Date();
+  if (now - (this.lastUsedAt || 0) < LAST_USED_UPDATE_INTERVAL_MS) {
+    return this;
+  }
+  const update = { lastUsedAt: now };
+  if (meta.ip) update.lastUsedIp = meta.ip;
+  await this.constructor.updateOne({ _id: this._id }, update);
+  Object.assign(this, update);
+  return this;
+};
+
+// Shape returned by the tokens API (never includes the hash)
+accessTokenSchema.methods.toSummaryJSON = function () {
+  return {
+    id: this._id,
+    name: this.name,
+    tokenPreview: this.tokenPreview,
+    scopes: this.scopes,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    revokedAt: this.revokedAt,
+    status: this.revokedAt
+      ? "revoked"
+      : this.expiresAt <= new Date()
+      ? "expired"
+      : "active",
+  };
+};
+
+// Static method to create a token; the plain token is only returned here
+accessTokenSchema.statics.createForUser = async function (
+  userId,
+  { name, scopes, expiresInDays }
+) {
+  const token = `${ACCESS_TOKEN_PREFIX}${generateSecureToken()}`;
+  const accessToken = new this({
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    tokenHash: hashToken(token),
+    tokenPreview: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+  });
+  await accessToken.save();
+
+  return { accessToken, token };
+};
+
+// Static method to look up a usable token by its plain value
+accessTokenSchema.statics.findActiveByToken = async function (token) {
+  if (typeof token !== "string" || !token.startsWith(ACCESS_TOKEN_PREFIX)) {
+    return null;
+  }
+  const accessToken = await this.findOne({ tokenHash: hashToken(token) });
+  return accessToken && accessToken.isValid() ? accessToken : null;
+};
+
+// Static method to revoke every active token of a user
+accessTokenSchema.statics.revokeAllForUser = async function (userId) {
+  const result = await this.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+accessTokenSchema.statics.ACCESS_TOKEN_PREFIX = ACCESS_TOKEN_PREFIX;
+accessTokenSchema.statics.MAX_EXPIRY_DAYS = MAX_EXPIRY_DAYS;
+
+module.exports = mongoose.model(
+  "AccessToken",
+  accessTokenSchema,
+  "access_tokens"
+);
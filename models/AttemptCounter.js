@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// Counters used for login throttling and rate limiting.
+// Keys look like "login:account:<email>" or "login:ip:<ip>".
+const attemptCounterSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    count: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove counters once their window is over
+attemptCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model(
+  "AttemptCounter",
+  attemptCounterSchema,
+  "attempt_counters"
+);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+// Append-only audit trail of security- and admin-relevant actions
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+      index: true,
+    },
+    actorUserId: {
+      type: String,
+      ref: "User",
+      index: true,
+    },
+    targetType: {
+      type: String,
+    },
+    targetId: {
+      type: String,
+      index: true,
+    },
+    ip: {
+      type: String,
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries can only be inserted, never changed or removed
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "findOneAndReplace",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+].forEach((operation) => {
+  auditLogSchema.pre(operation, rejectMutation);
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema, "audit_logs");
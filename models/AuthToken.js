@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+const { generateSecureToken, hashToken } = require("../utils/cryptoUtils");
+
+// One-time tokens mailed to users (password reset, email verification,
+// magic-link login).
+// Only the hash is stored; the plain token only ever exists in the email.
+const authTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+      index: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["password_reset", "email_verification", "magic_link"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB clean up expired tokens
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to issue a new token, invalidating older unused ones
+authTokenSchema.statics.issue = async function (userId, type, ttlMs) {
+  await this.deleteMany({ userId, type, usedAt: null });
+
+  const token = generateSecureToken();
+  await this.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+// Static method to redeem a token exactly once.
+// Returns the token document, or null if unknown, expired or already used.
+authTokenSchema.statics.consume = async function (token, type) {
+  if (!token || typeof token !== "string") return null;
+
+  return this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to look a token up without redeeming it.
+// Returns the token document, or null if unknown, expired or already used.
+authTokenSchema.statics.peek = async function (token, type) {
+  if (!token || typeof token !== "string") return null;
+
+  return this.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = mongoose.model("AuthToken", authTokenSchema, "auth_tokens");
@@ -0,0 +1,194 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Invite code like 7KQ2M9XHTA (no confusing chars)
+const generateInviteCode = () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(10);
+  let result = "";
+  for (let i = 0; i < 10; i++) {
+    result += chars.charAt(bytes[i] % chars.length);
+  }
+  return result;
+};
+
+const redemptionSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    email: { type: String, required: true },
+    redeemedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// Invite schema - lets selected people sign up while signup is closed
+const inviteSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    createdByUserId: {
+      type: String,
+      ref: "User",
+    },
+    email: {
+      type: String, // Optional: only this address may redeem the code
+      lowercase: true,
+      trim: true,
+    },
+    maxUses: {
+      type: Number,
+      default: 1,
+      min: [1, "Max uses must be at least 1"],
+      max: [10000, "Max uses cannot exceed 10000"],
+    },
+    uses: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+    redemptions: {
+      type: [redemptionSchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+inviteSchema.pre("save", async function (next) {
+  try {
+    if (this.isNew && !this.code) {
+      let attempts = 0;
+      while (attempts < 10) {
+        const code = generateInviteCode();
+        const exists = await this.constructor.findOne({ code });
+        if (!exists) {
+          this.code = code;
+          break;
+        }
+        attempts++;
+      }
+      if (!this.code) {
+        return next(new Error("Failed to generate unique invite code"));
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Current state of the invite: active, expired, exhausted or revoked
+inviteSchema.methods.getStatus = function () {
+  if (this.revokedAt) return "revoked";
+  if (this.expiresAt && this.expiresAt <= new Date()) return "expired";
+  if (this.uses >= this.maxUses) return "exhausted";
+  return "active";
+};
+
+// Why this invite cannot be used by the given email, or null if it can
+inviteSchema.methods.getUsageError = function (email) {
+  const status = this.getStatus();
+  if (status !== "active") return `Invite code is ${status}`;
+  if (this.email && this.email !== String(email).toLowerCase().trim()) {
+    return "Invite code is not valid for this email";
+  }
+  return null;
+};
+
+// Summary used by the admin API
+inviteSchema.methods.toSummaryJSON = function () {
+  return {
+    code: this.code,
+    email: this.email || null,
+    note: this.note,
+    maxUses: this.maxUses,
+    uses: this.uses,
+    remainingUses: Math.max(0, this.maxUses - this.uses),
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    status: this.getStatus(),
+    createdByUserId: this.createdByUserId,
+    createdAt: this.createdAt,
+  };
+};
+
+// Static method to build a query filter matching getStatus()
+inviteSchema.statics.statusFilter = function (status) {
+  const now = new Date();
+  const notExpired = {
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+  };
+
+  switch (status) {
+    case "revoked":
+      return { revokedAt: { $ne: null } };
+    case "expired":
+      return { revokedAt: null, expiresAt: { $ne: null, $lte: now } };
+    case "exhausted":
+      return {
+        revokedAt: null,
+        ...notExpired,
+        $expr: { $gte: ["$uses", "$maxUses"] },
+      };
+    case "active":
+      return {
+        revokedAt: null,
+        ...notExpired,
+        $expr: { $lt: ["$uses", "$maxUses"] },
+      };
+    default:
+      return null;
+  }
+};
+
+// Static method to find an invite by code (case-insensitive)
+inviteSchema.statics.findByCode = function (code) {
+  if (!code || typeof code !== "string") return null;
+  return this.findOne({ code: code.toUpperCase().trim() });
+};
+
+// Static method to atomically use up one redemption of a code.
+// Returns the updated invite, or null if it can no longer be used.
+inviteSchema.statics.redeem = function (code, { userId, email }) {
+  const now = new Date();
+  const normalizedEmail = String(email).toLowerCase().trim();
+
+  return this.findOneAndUpdate(
+    {
+      code: String(code).toUpperCase().trim(),
+      revokedAt: null,
+      $and: [
+        { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+        { $or: [{ email: null }, { email: normalizedEmail }] },
+      ],
+      $expr: { $lt: ["$uses", "$maxUses"] },
+    },
+    {
+      $inc: { uses: 1 },
+      $push: {
+        redemptions: { userId, email: normalizedEmail, redeemedAt: now },
+      },
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model("Invite", inviteSchema);
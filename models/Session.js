@@ -0,0 +1,244 @@
+const mongoose = require("mongoose");
+const { generateSecureToken, hashToken } = require("../utils/cryptoUtils");
+
+// Generate 16-char id like fn6TtN5divxkOrGh
+const generateId = () => {
+  const chars =
+    "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  let result = "";
+  for (let i = 0; i < 16; i++) {
+    result += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return result;
+};
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Session schema - one document per login, holding the current refresh token
+const sessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      unique: true,
+    },
+    userId: {
+      type: String,
+      required: [true, "User ID is required"],
+      ref: "User",
+      index: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+    lastRotatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    userAgent: {
+      type: String,
+      default: "",
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.pre("save", function (next) {
+  if (this.isNew && !this.sessionId) {
+    this.sessionId = generateId();
+  }
+  next();
+});
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret) return null;
+  return { sessionId, secret };
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Only write lastSeenAt once per minute to keep authenticated requests cheap
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+// Whether the session can still be used
+sessionSchema.methods.isValid = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Revoke this session
+sessionSchema.methods.revoke = async function (reason = "logout") {
+  if (!this.revokedAt) {
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    await this.save();
+  }
+  return this;
+};
+
+// Record activity on this session (throttled)
+sessionSchema.methods.touch = async function (meta = {}) {
+  const now = new Date();
+  if (now - (this.lastSeenAt || 0) < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return this;
+  }
+  const update = { lastSeenAt: now };
+  if (meta.ip) update.ip = meta.ip;
+  if (meta.userAgent) update.userAgent = String(meta.userAgent).slice(0, 500);
+  await this.constructor.updateOne({ _id: this._id }, update);
+  Object.assign(this, update);
+  return this;
+};
+
+// Shape returned by the sessions API
+sessionSchema.methods.toDeviceJSON = function (currentSessionId) {
+  return {
+    sessionId: this.sessionId,
+    userAgent: this.userAgent,
+    ip: this.ip,
+    createdAt: this.createdAt,
+    lastSeenAt: this.lastSeenAt,
+    expiresAt: this.expiresAt,
+    current: this.sessionId === currentSessionId,
+  };
+};
+
+// Static method to start a new session for a user
+sessionSchema.statics.createForUser = async function (userId, meta = {}) {
+  const secret = generateSecureToken();
+  const session = new this({
+    userId,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: refreshExpiry(),
+    userAgent: String(meta.userAgent || "").slice(0, 500),
+    ip: meta.ip || "",
+  });
+  await session.save();
+
+  return {
+    session,
+    refreshToken: buildRefreshToken(session.sessionId, secret),
+  };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Refresh tokens are single use: presenting a token that has already been
+// rotated out is treated as theft and revokes the whole session.
+sessionSchema.statics.rotateRefreshToken = async function (refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: "Invalid refresh token" };
+  }
+
+  const session = await this.findOne({ sessionId: parsed.sessionId });
+  if (!session || !session.isValid()) {
+    return { error: "Session expired or revoked" };
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const newSecret = generateSecureToken();
+
+  // Atomically swap the hash so two concurrent refreshes cannot both succeed
+  const rotated = await this.findOneAndUpdate(
+    {
+      sessionId: session.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+    },
+    {
+      refreshTokenHash: hashToken(newSecret),
+      lastRotatedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    console.warn("Refresh token reuse detected for session:", {
+      sessionId: session.sessionId,
+      userId: session.userId,
+    });
+    await session.revoke("refresh_token_reuse");
+    return { error: "Refresh token reuse detected", reuseDetected: true };
+  }
+
+  return {
+    session: rotated,
+    refreshToken: buildRefreshToken(rotated.sessionId, newSecret),
+  };
+};
+
+// Static method to find a session by the id embedded in an access token
+sessionSchema.statics.findActive = async function (sessionId) {
+  if (!sessionId) return null;
+  const session = await this.findOne({ sessionId });
+  if (!session || !session.isValid()) return null;
+  return session;
+};
+
+// Static method to list a user's active sessions, most recently used first
+sessionSchema.statics.findActiveForUser = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+};
+
+// Static method to find the session a refresh token belongs to
+sessionSchema.statics.findByRefreshToken = async function (refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  return this.findOne({
+    sessionId: parsed.sessionId,
+    refreshTokenHash: hashToken(parsed.secret),
+  });
+};
+
+// Static method to revoke every active session of a user
+sessionSchema.statics.revokeAllForUser = async function (
+  userId,
+  reason = "logout_all",
+  exceptSessionId = null
+) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter.sessionId = { $ne: exceptSessionId };
+  const result = await this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -16,4 +16,19 @@ const settingsSchema = new mongoose.Schema({
   },
 });
 
+// Static method to read a setting value with a fallback
+settingsSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+// Static method to create or update a setting value
+settingsSchema.statics.setValue = function (key, value) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedAt: new Date() },
+    { upsert: true, new: true }
+  );
+};
+
 module.exports = mongoose.model("Settings", settingsSchema);
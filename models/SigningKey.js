@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// JWT signing key schema - one document per key in the keyring.
+// A key signs tokens from activatesAt until the next key activates
+// (retiresAt) and is still accepted for verification until verifyUntil.
+const signingKeySchema = new mongoose.Schema(
+  {
+    kid: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Increases by one per rotation; unique so two instances rotating at the
+    // same time cannot both create a key
+    generation: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    alg: {
+      type: String,
+      enum: ["HS256", "RS256", "EdDSA"],
+      required: true,
+    },
+    // HMAC secret or PKCS#8 private key PEM, encrypted with encryptSecret
+    encryptedKey: {
+      type: String,
+      required: true,
+    },
+    // Public key in JWK form (asymmetric keys only), served from the JWKS
+    publicJwk: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    activatesAt: {
+      type: Date,
+      required: true,
+    },
+    retiresAt: {
+      type: Date,
+      default: null,
+    },
+    verifyUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB remove keys once no token signed with them can be valid
+signingKeySchema.index({ verifyUntil: 1 }, { expireAfterSeconds: 0 });
+
+// Shape returned by the admin API (never includes key material)
+signingKeySchema.methods.toSummaryJSON = function () {
+  return {
+    kid: this.kid,
+    generation: this.generation,
+    alg: this.alg,
+    createdAt: this.createdAt,
+    activatesAt: this.activatesAt,
+    retiresAt: this.retiresAt,
+    verifyUntil: this.verifyUntil,
+  };
+};
+
+module.exports = mongoose.model("SigningKey", signingKeySchema, "signing_keys");
@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { hashToken } = require("../utils/cryptoUtils");
+const { verifyCode } = require("../utils/totp");
 
 // Function to generate random userId
 const generateUserId = () => {
@@ -72,12 +75,60 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // SHA-256 hashes of unused recovery codes
+      default: [],
+    },
+    twoFactorLastUsedStep: {
+      type: Number, // Last accepted TOTP time step, prevents code replay
+    },
+    // Accounts at OpenID Connect providers that can sign in as this user
+    oidcIdentities: {
+      type: [
+        {
+          _id: false,
+          issuer: { type: String, required: true },
+          subject: { type: String, required: true },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    deletionRequestedAt: {
+      type: Date,
+    },
+    deletionScheduledFor: {
+      type: Date, // Hard delete after this date unless the user logs in again
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.index({ deletionScheduledFor: 1 }, { sparse: true });
+userSchema.index(
+  { "oidcIdentities.issuer": 1, "oidcIdentities.subject": 1 },
+  { unique: true, sparse: true }
+);
+
 // Ensure userId is unique before saving
 userSchema.pre("save", async function (next) {
   // Always generate userId for new users or if userId is missing
@@ -142,10 +193,54 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Check a TOTP code against the enabled secret, rejecting replays
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorEnabled || !this.twoFactorSecret) return false;
+
+  const step = verifyCode(this.twoFactorSecret, code);
+  if (step === null) return false;
+  if (this.twoFactorLastUsedStep && step <= this.twoFactorLastUsedStep) {
+    return false;
+  }
+
+  this.twoFactorLastUsedStep = step;
+  return true;
+};
+
+// Generate a fresh set of recovery codes; returns the plain codes once
+userSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  this.twoFactorRecoveryCodes = codes.map((code) => hashToken(code));
+  return codes;
+};
+
+// Use a recovery code; each code only works once
+userSchema.methods.useRecoveryCode = function (code) {
+  const normalized = String(code || "")
+    .trim()
+    .toLowerCase();
+  if (!normalized) return false;
+
+  const codeHash = hashToken(normalized);
+  const index = this.twoFactorRecoveryCodes.indexOf(codeHash);
+  if (index === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(index, 1);
+  return true;
+};
+
+// Remove password and 2FA secrets from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   return user;
 };
 
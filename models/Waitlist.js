@@ -1,4 +1,20 @@
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// Each referral moves the referrer this far ahead in the queue
+const REFERRAL_BOOST_MS =
+  (Number(process.env.WAITLIST_REFERRAL_BOOST_HOURS) || 24) * 60 * 60 * 1000;
+
+// Public referral code like K7QM2XH9 (no confusing chars)
+const generateReferralCode = () => {
+  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+  const bytes = crypto.randomBytes(8);
+  let result = "";
+  for (let i = 0; i < 8; i++) {
+    result += chars.charAt(bytes[i] % chars.length);
+  }
+  return result;
+};
 
 const waitlistSchema = new mongoose.Schema(
   {
@@ -28,10 +44,177 @@ const waitlistSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    notifiedAt: {
+      type: Date,
+    },
+    inviteCode: {
+      type: String, // Invite sent to this entry
+    },
+    userId: {
+      type: String, // Set once the email registers a User
+      ref: "User",
+    },
+    registeredAt: {
+      type: Date,
+    },
+    referralCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Private token for the status page. Not a credential, so it is stored
+    // as-is to allow including it in later emails.
+    statusToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    referredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Waitlist",
+    },
+    referralCount: {
+      type: Number,
+      default: 0,
+    },
+    // Double opt-in: new entries stay pending until the email is confirmed.
+    // Entries created before double opt-in have no value and count as
+    // confirmed, so queries use { isConfirmed: { $ne: false } }.
+    isConfirmed: {
+      type: Boolean,
+    },
+    confirmedAt: {
+      type: Date,
+    },
+    // Pending entries are removed by MongoDB after this date
+    pendingExpiresAt: {
+      type: Date,
+    },
+    unsubscribeToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    // Queue order: joinedAt moved earlier by every successful referral
+    priorityAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+waitlistSchema.index({ joinedAt: 1 });
+waitlistSchema.index({ isNotified: 1, joinedAt: 1 });
+waitlistSchema.index({ isNotified: 1, priorityAt: 1 });
+waitlistSchema.index({ pendingExpiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Filter for entries that count (confirmed or created before double opt-in)
+const CONFIRMED_FILTER = { isConfirmed: { $ne: false } };
+
+// Static method to generate a referral code not used by any entry
+waitlistSchema.statics.generateUniqueReferralCode = async function () {
+  let attempts = 0;
+  while (attempts < 10) {
+    const code = generateReferralCode();
+    const exists = await this.findOne({ referralCode: code });
+    if (!exists) return code;
+    attempts++;
+  }
+  throw new Error("Failed to generate unique referral code");
+};
+
+// Static method to generate a status page / unsubscribe token
+waitlistSchema.statics.generateStatusToken = function () {
+  return crypto.randomBytes(24).toString("base64url");
+};
+
+waitlistSchema.pre("save", async function (next) {
+  try {
+    if (this.isNew) {
+      if (!this.priorityAt) this.priorityAt = this.joinedAt;
+      if (!this.statusToken) {
+        this.statusToken = this.constructor.generateStatusToken();
+      }
+      if (!this.unsubscribeToken) {
+        this.unsubscribeToken = this.constructor.generateStatusToken();
+      }
+      if (!this.referralCode) {
+        this.referralCode = await this.constructor.generateUniqueReferralCode();
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Position in the queue (1-based), or null while pending or once
+// invited/registered
+waitlistSchema.methods.getQueuePosition = async function () {
+  if (this.isConfirmed === false || this.isNotified || this.userId) {
+    return null;
+  }
+  const ahead = await this.constructor.countDocuments({
+    ...CONFIRMED_FILTER,
+    isNotified: false,
+    userId: null,
+    $or: [
+      { priorityAt: { $lt: this.priorityAt } },
+      { priorityAt: this.priorityAt, _id: { $lt: this._id } },
+    ],
+  });
+  return ahead + 1;
+};
+
+// Static method to credit a referral: bumps the referrer up the queue
+waitlistSchema.statics.creditReferral = function (referrerId) {
+  return this.findOneAndUpdate(
+    { _id: referrerId },
+    [
+      {
+        $set: {
+          referralCount: { $add: [{ $ifNull: ["$referralCount", 0] }, 1] },
+          priorityAt: {
+            $subtract: [
+              { $ifNull: ["$priorityAt", "$joinedAt"] },
+              REFERRAL_BOOST_MS,
+            ],
+          },
+        },
+      },
+    ],
+    { new: true }
+  );
+};
+
+// Static method to link a waitlist entry to a newly registered user
+waitlistSchema.statics.linkUser = function (email, userId) {
+  return this.findOneAndUpdate(
+    { email: String(email).toLowerCase().trim(), userId: null },
+    { userId, registeredAt: new Date() },
+    { new: true }
+  );
+};
+
+// Static method to confirm a pending entry; returns null if not pending
+waitlistSchema.statics.confirm = function (entryId) {
+  return this.findOneAndUpdate(
+    { _id: entryId, isConfirmed: false },
+    {
+      $set: { isConfirmed: true, confirmedAt: new Date() },
+      $unset: { pendingExpiresAt: 1 },
+    },
+    { new: true }
+  );
+};
+
+// Static method to count entries that are on the list for real
+waitlistSchema.statics.countConfirmed = function (filters = {}) {
+  return this.countDocuments({ ...CONFIRMED_FILTER, ...filters });
+};
+
+waitlistSchema.statics.CONFIRMED_FILTER = CONFIRMED_FILTER;
+
 module.exports = mongoose.model("Waitlist", waitlistSchema);
@@ -0,0 +1,1126 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const Invite = require("../models/Invite");
+const Session = require("../models/Session");
+const Settings = require("../models/Settings");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { listLockouts, unlock } = require("../utils/loginThrottle");
+const {
+  listSigningKeys,
+  rotateSigningKey,
+  isKeyringEnabled,
+} = require("../utils/jwtKeys");
+const { recordAudit, AUDIT_ACTIONS } = require("../utils/audit");
+const { escapeRegex } = require("../utils/queryUtils");
+const { revokeUserCredentials } = require("../utils/sessionUtils");
+const {
+  DISPOSABLE_DOMAINS,
+  DISPOSABLE_DOMAINS_SETTING,
+  normalizeDomain,
+  getCustomDisposableDomains,
+} = require("../utils/abuseGuard");
+const {
+  FLAG_NAME_PATTERN,
+  getFlagDefinitionError,
+  listFlags,
+  getFlagDefinition,
+  saveFlag,
+  deleteFlag,
+} = require("../utils/featureFlags");
+const {
+  MAINTENANCE_MODES,
+  MAINTENANCE_SETTING,
+  getMaintenanceState,
+  setMaintenanceState,
+  notifyActiveQuizzes,
+} = require("../utils/maintenance");
+
+const router = express.Router();
+
+// Fields shown in the user list
+const USER_LIST_FIELDS =
+  "userId username email firstName lastName role subscription isActive emailVerified twoFactorEnabled createdAt";
+
+// All admin routes require authentication; each route names its capability
+router.use(authenticateToken);
+
+// @route   GET /api/admin/lockouts
+// @desc    List accounts and IPs currently locked out of login
+// @access  Private (security.manage)
+router.get(
+  "/lockouts",
+  requirePermission(PERMISSIONS.SECURITY_MANAGE),
+  async (req, res) => {
+    try {
+      const lockouts = await listLockouts();
+
+      res.json({
+        success: true,
+        lockouts,
+      });
+    } catch (error) {
+      console.error("List lockouts error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/lockouts/unlock
+// @desc    Unlock an account (by email) or an IP address
+// @access  Private (security.manage)
+router.post(
+  "/lockouts/unlock",
+  requirePermission(PERMISSIONS.SECURITY_MANAGE),
+  async (req, res) => {
+    try {
+      const { email, ip } = req.body;
+
+      if (!email && !ip) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide email or ip",
+        });
+      }
+
+      const wasLocked = await unlock({ email, ip }, req.userId);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.UNLOCK,
+        targetType: email ? "account" : "ip",
+        targetId: email ? String(email).toLowerCase() : ip,
+        metadata: { wasLocked },
+      });
+
+      res.json({
+        success: true,
+        message: wasLocked ? "Lockout removed" : "No active lockout found",
+        wasLocked,
+      });
+    } catch (error) {
+      console.error("Unlock error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/signing-keys
+// @desc    List JWT signing keys (without key material)
+// @access  Private (security.manage)
+router.get(
+  "/signing-keys",
+  requirePermission(PERMISSIONS.SECURITY_MANAGE),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        keys: await listSigningKeys(),
+      });
+    } catch (error) {
+      console.error("List signing keys error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/signing-keys/rotate
+// @desc    Schedule a new JWT signing key ahead of the rotation schedule
+// @access  Private (security.manage)
+router.post(
+  "/signing-keys/rotate",
+  requirePermission(PERMISSIONS.SECURITY_MANAGE),
+  async (req, res) => {
+    try {
+      if (!isKeyringEnabled()) {
+        return res.status(400).json({
+          success: false,
+          message: "Key rotation is off: KEYRING_SECRET is not set",
+        });
+      }
+
+      const key = await rotateSigningKey();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SIGNING_KEY_ROTATE,
+        targetType: "signing_key",
+        targetId: key.kid,
+        after: key.toSummaryJSON(),
+      });
+
+      res.json({
+        success: true,
+        message: `New signing key activates at ${key.activatesAt.toISOString()}`,
+        key: key.toSummaryJSON(),
+      });
+    } catch (error) {
+      console.error("Rotate signing key error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/disposable-domains
+// @desc    List blocked disposable email domains (bundled and custom)
+// @access  Private (settings.read)
+router.get(
+  "/disposable-domains",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        bundled: DISPOSABLE_DOMAINS,
+        custom: await getCustomDisposableDomains(),
+      });
+    } catch (error) {
+      console.error("List disposable domains error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/disposable-domains
+// @desc    Replace the custom disposable email domain list
+// @access  Private (settings.write)
+router.put(
+  "/disposable-domains",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const { domains } = req.body;
+
+      if (!Array.isArray(domains)) {
+        return res.status(400).json({
+          success: false,
+          message: "domains must be an array",
+        });
+      }
+
+      const custom = [...new Set(domains.map(normalizeDomain))].filter(
+        (domain) => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain)
+      );
+      if (custom.length !== domains.length) {
+        return res.status(400).json({
+          success: false,
+          message: "domains must be unique, valid domain names",
+        });
+      }
+
+      const before = await getCustomDisposableDomains();
+      await Settings.setValue(DISPOSABLE_DOMAINS_SETTING, custom);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.DISPOSABLE_DOMAINS_UPDATE,
+        targetType: "setting",
+        targetId: DISPOSABLE_DOMAINS_SETTING,
+        before,
+        after: custom,
+      });
+
+      res.json({
+        success: true,
+        message: "Disposable domain list updated",
+        custom,
+      });
+    } catch (error) {
+      console.error("Update disposable domains error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/maintenance
+// @desc    Get the maintenance mode state
+// @access  Private (settings.read)
+router.get(
+  "/maintenance",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        maintenance: await getMaintenanceState(),
+      });
+    } catch (error) {
+      console.error("Get maintenance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/maintenance
+// @desc    Switch maintenance mode (off, read_only, full) and warn live quizzes
+// @access  Private (settings.write)
+router.put(
+  "/maintenance",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const { mode, message, endsAt } = req.body;
+
+      if (!MAINTENANCE_MODES.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: `mode must be one of: ${MAINTENANCE_MODES.join(", ")}`,
+        });
+      }
+
+      const endsAtDate = endsAt ? new Date(endsAt) : null;
+      if (endsAtDate && isNaN(endsAtDate)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid endsAt date",
+        });
+      }
+
+      const before = await getMaintenanceState();
+      const maintenance = await setMaintenanceState({
+        mode,
+        message: message ? String(message).slice(0, 500) : undefined,
+        endsAt: endsAtDate,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.MAINTENANCE_UPDATE,
+        targetType: "setting",
+        targetId: MAINTENANCE_SETTING,
+        before,
+        after: maintenance,
+      });
+
+      await notifyActiveQuizzes(req.app.get("io"), maintenance);
+
+      res.json({
+        success: true,
+        message:
+          mode === "off"
+            ? "Maintenance mode disabled"
+            : "Maintenance mode enabled",
+        maintenance,
+      });
+    } catch (error) {
+      console.error("Update maintenance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/maintenance/announce
+// @desc    Warn live quizzes about upcoming maintenance without enabling it
+// @access  Private (settings.write)
+router.post(
+  "/maintenance/announce",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const { message, mode = "full", startsAt, endsAt } = req.body;
+
+      if (!message) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide a message",
+        });
+      }
+
+      if (!MAINTENANCE_MODES.includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          message: `mode must be one of: ${MAINTENANCE_MODES.join(", ")}`,
+        });
+      }
+
+      const quizzesNotified = await notifyActiveQuizzes(req.app.get("io"), {
+        mode,
+        message: String(message).slice(0, 500),
+        startsAt: startsAt || null,
+        endsAt: endsAt || null,
+        upcoming: true,
+      });
+
+      res.json({
+        success: true,
+        message: "Maintenance announced",
+        quizzesNotified,
+      });
+    } catch (error) {
+      console.error("Announce maintenance error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/flags
+// @desc    List feature flag definitions
+// @access  Private (settings.read)
+router.get(
+  "/flags",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        flags: await listFlags(),
+      });
+    } catch (error) {
+      console.error("List flags error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/flags/:name
+// @desc    Get a feature flag definition
+// @access  Private (settings.read)
+router.get(
+  "/flags/:name",
+  requirePermission(PERMISSIONS.SETTINGS_READ),
+  async (req, res) => {
+    try {
+      const flag = await getFlagDefinition(req.params.name);
+
+      if (!flag) {
+        return res.status(404).json({
+          success: false,
+          message: "Flag not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        flag,
+      });
+    } catch (error) {
+      console.error("Get flag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/flags/:name
+// @desc    Create or replace a feature flag definition
+// @access  Private (settings.write)
+router.put(
+  "/flags/:name",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+      const { type, description, defaultValue, enabled, targeting } = req.body;
+
+      if (!FLAG_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          success: false,
+          message:
+            "Flag names must start with a lowercase letter and use letters, digits, '_', '-' or '.'",
+        });
+      }
+
+      const definitionError = getFlagDefinitionError({
+        type,
+        defaultValue,
+        targeting,
+      });
+      if (definitionError) {
+        return res.status(400).json({
+          success: false,
+          message: definitionError,
+        });
+      }
+
+      if (enabled !== undefined && typeof enabled !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "enabled must be a boolean",
+        });
+      }
+
+      const before = await getFlagDefinition(name);
+      const flag = await saveFlag(name, {
+        type,
+        description: description ? String(description).slice(0, 500) : "",
+        defaultValue,
+        enabled,
+        targeting,
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FLAG_UPDATE,
+        targetType: "flag",
+        targetId: name,
+        before,
+        after: flag,
+      });
+
+      res.status(before ? 200 : 201).json({
+        success: true,
+        message: before ? "Flag updated" : "Flag created",
+        flag,
+      });
+    } catch (error) {
+      console.error("Save flag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/flags/:name
+// @desc    Delete a feature flag
+// @access  Private (settings.write)
+router.delete(
+  "/flags/:name",
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const before = await getFlagDefinition(req.params.name);
+
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: "Flag not found",
+        });
+      }
+
+      await deleteFlag(req.params.name);
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.FLAG_DELETE,
+        targetType: "flag",
+        targetId: req.params.name,
+        before,
+      });
+
+      res.json({
+        success: true,
+        message: "Flag deleted",
+      });
+    } catch (error) {
+      console.error("Delete flag error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// Load the target user for /users/:userId routes
+const loadTargetUser = async (req, res) => {
+  const user = await User.findOne({ userId: req.params.userId });
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "User not found",
+    });
+    return null;
+  }
+  return user;
+};
+
+// @route   GET /api/admin/users
+// @desc    List, search and paginate users
+// @access  Private (users.read)
+router.get(
+  "/users",
+  requirePermission(PERMISSIONS.USERS_READ),
+  async (req, res) => {
+    try {
+      const {
+        search,
+        role,
+        subscription,
+        isActive,
+        limit = 20,
+        page = 1,
+      } = req.query;
+      const filters = {};
+
+      if (search) {
+        const pattern = { $regex: escapeRegex(search), $options: "i" };
+        filters.$or = [
+          { username: pattern },
+          { email: pattern },
+          { firstName: pattern },
+          { lastName: pattern },
+          { userId: String(search) },
+        ];
+      }
+      if (role) filters.role = String(role);
+      if (subscription) filters.subscription = String(subscription);
+      if (isActive === "true" || isActive === "false") {
+        filters.isActive = isActive === "true";
+      }
+
+      const take = Math.min(100, Math.max(1, Math.floor(Number(limit)) || 20));
+      const currentPage = Math.max(1, Math.floor(Number(page)) || 1);
+      const skip = (currentPage - 1) * take;
+
+      const [users, total] = await Promise.all([
+        User.find(filters)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(take)
+          .select(USER_LIST_FIELDS),
+        User.countDocuments(filters),
+      ]);
+
+      res.json({
+        success: true,
+        data: users,
+        pagination: {
+          page: currentPage,
+          limit: take,
+          total,
+          hasNext: skip + take < total,
+          hasPrev: currentPage > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Admin list users error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/users/:userId
+// @desc    Get one user with session information
+// @access  Private (users.read)
+router.get(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_READ),
+  async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const sessions = await Session.findActiveForUser(user.userId);
+
+      res.json({
+        success: true,
+        user: user.toJSON(),
+        activeSessions: sessions.map((session) => session.toDeviceJSON()),
+      });
+    } catch (error) {
+      console.error("Admin get user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   PATCH /api/admin/users/:userId
+// @desc    Change a user's role and/or subscription
+// @access  Private (users.write)
+router.patch(
+  "/users/:userId",
+  requirePermission(PERMISSIONS.USERS_WRITE),
+  async (req, res) => {
+    try {
+      const { role, subscription } = req.body;
+
+      if (role === undefined && subscription === undefined) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide role or subscription",
+        });
+      }
+
+      if (role !== undefined && !["student", "admin"].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: "Role must be one of: student, admin",
+        });
+      }
+
+      if (
+        subscription !== undefined &&
+        !["basic", "pro"].includes(subscription)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "Subscription must be one of: basic, pro",
+        });
+      }
+
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      // Admins cannot demote themselves and lock everyone out
+      if (user.userId === req.userId && role && role !== "admin") {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot remove your own admin role",
+        });
+      }
+
+      const before = { role: user.role, subscription: user.subscription };
+      if (role !== undefined) user.role = role;
+      if (subscription !== undefined) user.subscription = subscription;
+      await user.save();
+      const after = { role: user.role, subscription: user.subscription };
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_UPDATE_ACCESS,
+        targetType: "user",
+        targetId: user.userId,
+        before,
+        after,
+      });
+
+      res.json({
+        success: true,
+        message: "User updated",
+        user: user.toJSON(),
+      });
+    } catch (error) {
+      console.error("Admin update user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/deactivate
+// @desc    Deactivate a user and end all their sessions
+// @access  Private (users.write)
+router.post(
+  "/users/:userId/deactivate",
+  requirePermission(PERMISSIONS.USERS_WRITE),
+  async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      if (user.userId === req.userId) {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot deactivate your own account",
+        });
+      }
+
+      const before = { isActive: user.isActive };
+      user.isActive = false;
+      await user.save();
+      const { revokedSessions, revokedAccessTokens } =
+        await revokeUserCredentials(user.userId, "deactivated");
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_DEACTIVATE,
+        targetType: "user",
+        targetId: user.userId,
+        before,
+        after: { isActive: false },
+        metadata: { revokedSessions, revokedAccessTokens },
+      });
+
+      res.json({
+        success: true,
+        message: "User deactivated",
+        revokedSessions,
+        revokedAccessTokens,
+      });
+    } catch (error) {
+      console.error("Admin deactivate user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/reactivate
+// @desc    Reactivate a deactivated user
+// @access  Private (users.write)
+router.post(
+  "/users/:userId/reactivate",
+  requirePermission(PERMISSIONS.USERS_WRITE),
+  async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const before = { isActive: user.isActive };
+      user.isActive = true;
+      await user.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_REACTIVATE,
+        targetType: "user",
+        targetId: user.userId,
+        before,
+        after: { isActive: true },
+      });
+
+      res.json({
+        success: true,
+        message: "User reactivated",
+      });
+    } catch (error) {
+      console.error("Admin reactivate user error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/users/:userId/logout
+// @desc    Force logout: revoke every session and access token of a user
+// @access  Private (users.write)
+router.post(
+  "/users/:userId/logout",
+  requirePermission(PERMISSIONS.USERS_WRITE),
+  async (req, res) => {
+    try {
+      const user = await loadTargetUser(req, res);
+      if (!user) return;
+
+      const { revokedSessions, revokedAccessTokens } =
+        await revokeUserCredentials(user.userId, "admin_logout");
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.USER_FORCE_LOGOUT,
+        targetType: "user",
+        targetId: user.userId,
+        metadata: { revokedSessions, revokedAccessTokens },
+      });
+
+      res.json({
+        success: true,
+        message: "User logged out from all devices",
+        revokedSessions,
+        revokedAccessTokens,
+      });
+    } catch (error) {
+      console.error("Admin force logout error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/invites
+// @desc    Create an invite code
+// @access  Private (invites.manage)
+router.post(
+  "/invites",
+  requirePermission(PERMISSIONS.INVITES_MANAGE),
+  async (req, res) => {
+    try {
+      const { maxUses, expiresAt, expiresInDays, email, note } = req.body;
+
+      let expiry = null;
+      if (expiresAt) {
+        expiry = new Date(expiresAt);
+      } else if (expiresInDays) {
+        expiry = new Date(
+          Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000
+        );
+      }
+
+      if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        return res.status(400).json({
+          success: false,
+          message: "Expiry must be a valid date in the future",
+        });
+      }
+
+      const invite = new Invite({
+        createdByUserId: req.userId,
+        maxUses: maxUses === undefined ? 1 : Number(maxUses),
+        expiresAt: expiry,
+        email: email || undefined,
+        note,
+      });
+      await invite.save();
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.INVITE_CREATE,
+        targetType: "invite",
+        targetId: invite.code,
+        after: invite.toSummaryJSON(),
+      });
+
+      res.status(201).json({
+        success: true,
+        invite: invite.toSummaryJSON(),
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const errors = Object.values(error.errors).map((err) => err.message);
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors,
+        });
+      }
+
+      console.error("Admin create invite error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/invites
+// @desc    List invite codes with usage stats
+// @access  Private (invites.manage)
+router.get(
+  "/invites",
+  requirePermission(PERMISSIONS.INVITES_MANAGE),
+  async (req, res) => {
+    try {
+      const { status, limit = 20, page = 1 } = req.query;
+      const filters = status ? Invite.statusFilter(String(status)) : {};
+
+      if (!filters) {
+        return res.status(400).json({
+          success: false,
+          message: "Status must be one of: active, expired, exhausted, revoked",
+        });
+      }
+
+      const take = Math.min(100, Math.max(1, Math.floor(Number(limit)) || 20));
+      const currentPage = Math.max(1, Math.floor(Number(page)) || 1);
+      const skip = (currentPage - 1) * take;
+
+      const [invites, total] = await Promise.all([
+        Invite.find(filters)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(take)
+          .select("-redemptions"),
+        Invite.countDocuments(filters),
+      ]);
+
+      res.json({
+        success: true,
+        data: invites.map((invite) => invite.toSummaryJSON()),
+        pagination: {
+          page: currentPage,
+          limit: take,
+          total,
+          hasNext: skip + take < total,
+          hasPrev: currentPage > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Admin list invites error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/invites/:code
+// @desc    Get an invite code with its redemptions
+// @access  Private (invites.manage)
+router.get(
+  "/invites/:code",
+  requirePermission(PERMISSIONS.INVITES_MANAGE),
+  async (req, res) => {
+    try {
+      const invite = await Invite.findByCode(req.params.code);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        invite: invite.toSummaryJSON(),
+        redemptions: invite.redemptions,
+      });
+    } catch (error) {
+      console.error("Admin get invite error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/invites/:code/revoke
+// @desc    Revoke an invite code
+// @access  Private (invites.manage)
+router.post(
+  "/invites/:code/revoke",
+  requirePermission(PERMISSIONS.INVITES_MANAGE),
+  async (req, res) => {
+    try {
+      const invite = await Invite.findByCode(req.params.code);
+
+      if (!invite) {
+        return res.status(404).json({
+          success: false,
+          message: "Invite not found",
+        });
+      }
+
+      if (!invite.revokedAt) {
+        const before = invite.toSummaryJSON();
+        invite.revokedAt = new Date();
+        await invite.save();
+
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.INVITE_REVOKE,
+          targetType: "invite",
+          targetId: invite.code,
+          before: { status: before.status },
+          after: { status: "revoked" },
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invite revoked",
+        invite: invite.toSummaryJSON(),
+      });
+    } catch (error) {
+      console.error("Admin revoke invite error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/audit
+// @desc    Query the audit log (newest first, cursor paginated)
+// @access  Private (audit.read)
+router.get(
+  "/audit",
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  async (req, res) => {
+    try {
+      const {
+        action,
+        actorUserId,
+        targetType,
+        targetId,
+        from,
+        to,
+        cursor,
+        limit = 50,
+      } = req.query;
+      const filters = {};
+
+      if (action) {
+        // "quiz.*" matches every quiz action
+        const value = String(action);
+        filters.action = value.endsWith(".*")
+          ? { $regex: `^${escapeRegex(value.slice(0, -1))}` }
+          : value;
+      }
+      if (actorUserId) filters.actorUserId = String(actorUserId);
+      if (targetType) filters.targetType = String(targetType);
+      if (targetId) filters.targetId = String(targetId);
+
+      if (from || to) {
+        filters.createdAt = {};
+        if (from) filters.createdAt.$gte = new Date(from);
+        if (to) filters.createdAt.$lte = new Date(to);
+        if (
+          Object.values(filters.createdAt).some((date) => isNaN(date.getTime()))
+        ) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid from/to date",
+          });
+        }
+      }
+
+      if (cursor) {
+        if (!mongoose.Types.ObjectId.isValid(cursor)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid cursor",
+          });
+        }
+        filters._id = { $lt: new mongoose.Types.ObjectId(String(cursor)) };
+      }
+
+      const take = Math.min(200, Math.max(1, Math.floor(Number(limit)) || 50));
+
+      // Fetch one extra entry to know whether there is a next page
+      const entries = await AuditLog.find(filters)
+        .sort({ _id: -1 })
+        .limit(take + 1);
+
+      const hasNext = entries.length > take;
+      const data = hasNext ? entries.slice(0, take) : entries;
+
+      res.json({
+        success: true,
+        data,
+        pagination: {
+          limit: take,
+          hasNext,
+          nextCursor: hasNext ? String(data[data.length - 1]._id) : null,
+        },
+      });
+    } catch (error) {
+      console.error("Admin audit query error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,94 +1,1665 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
 const User = require("../models/User");
+const Session = require("../models/Session");
 const Settings = require("../models/Settings");
-const { authenticateToken } = require("../middleware/auth");
+const AuthToken = require("../models/AuthToken");
+const Invite = require("../models/Invite");
+const Waitlist = require("../models/Waitlist");
+const AccessToken = require("../models/AccessToken");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS, getPermissionsFor } = require("../utils/permissions");
 const {
+  generateToken,
+  verifyAccessToken,
   setUserSessionCookies,
   clearUserSessionCookies,
+  startUserSession,
+  revokeUserCredentials,
   getTokenFromRequest,
+  getRefreshTokenFromRequest,
+  getClientInfo,
+  generateChallengeToken,
+  consumeChallengeToken,
 } = require("../utils/sessionUtils");
+const { sendMail, buildFrontendUrl } = require("../utils/mailer");
+const {
+  passwordResetEmail,
+  magicLinkEmail,
+} = require("../utils/emailTemplates");
+const {
+  sendVerificationEmail,
+  isVerificationRequired,
+} = require("../utils/emailVerification");
+const {
+  isTwoFactorRequiredFor,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const { generateSecret, buildOtpauthUri } = require("../utils/totp");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../utils/loginThrottle");
+const { rateLimitByIp } = require("../middleware/rateLimit");
+const {
+  rejectDuringMaintenance,
+  isLockedOutByMaintenance,
+} = require("../middleware/maintenance");
+const { getAttemptStore } = require("../utils/attemptStores");
+const { guardPublicForm } = require("../middleware/abuseGuard");
+const { containsProfanity } = require("../utils/abuseGuard");
+const { issueCsrfToken, CSRF_HEADER } = require("../middleware/csrf");
+const { recordAudit, AUDIT_ACTIONS } = require("../utils/audit");
+const { ALL_TOKEN_SCOPES } = require("../utils/tokenScopes");
+const {
+  streamAccountExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} = require("../utils/accountData");
+const { signJwt, verifyJwt, TOKEN_TYPES } = require("../utils/jwtKeys");
+const { safeEqual } = require("../utils/cryptoUtils");
+const {
+  getOidcConfig,
+  createLoginRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resolveOidcUser,
+} = require("../utils/oidc");
+
+const router = express.Router();
+
+const PASSWORD_RESET_TTL_MS = 60 * 60 * 1000; // 1 hour
+const MAGIC_LINK_TTL_MS = 15 * 60 * 1000; // 15 minutes
+
+// Links mailed to one address per hour, whatever IPs ask for them
+const MAILED_LINK_WINDOW_MS = 60 * 60 * 1000;
+const MAILED_LINK_MAX = 5;
+
+/**
+ * Count a link mailed to an address and report whether it is over the cap
+ * @param {String} kind - Link kind, e.g. "magic-link"
+ * @param {String} email - Normalized address the link goes to
+ * @returns {Boolean} - True when no more links should be sent this window
+ */
+const exceedsMailedLinkCap = async (kind, email) => {
+  const sent = await getAttemptStore().increment(
+    `rate:${kind}-email:${email}`,
+    MAILED_LINK_WINDOW_MS
+  );
+  return sent.count > MAILED_LINK_MAX;
+};
+
+// Settings key turning passwordless magic-link login on or off
+const MAGIC_LINK_SETTING = "magicLinkLoginEnabled";
+
+// Short-lived cookie carrying the state, nonce and PKCE verifier of an
+// OIDC login between the redirect to the provider and the callback
+const OIDC_STATE_COOKIE = "oidcState";
+const OIDC_STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const OIDC_STATE_COOKIE_CONFIG = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  // The callback is a top-level cross-site navigation from the provider
+  sameSite: "lax",
+  path: "/api/auth/oidc",
+};
+
+// Validate username format; returns an error message or null
+const validateUsernameFormat = (username) => {
+  if (!username || typeof username !== "string" || username.length < 3) {
+    return "Username must be at least 3 characters";
+  }
+  if (username.length > 20) {
+    return "Username cannot exceed 20 characters";
+  }
+  if (!/^[a-zA-Z0-9_]+$/.test(username)) {
+    return "Username can only contain letters, numbers, and underscores";
+  }
+  return null;
+};
+
+// Audit a successful login
+const auditLogin = (req, user, method) =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.LOGIN,
+    actorUserId: user.userId,
+    targetType: "user",
+    targetId: user.userId,
+    metadata: { method, userAgent: req.headers["user-agent"] },
+  });
+
+// Audit a failed login
+const auditLoginFailure = (req, email, reason) =>
+  recordAudit(req, {
+    action: AUDIT_ACTIONS.LOGIN_FAILED,
+    targetType: "account",
+    targetId: String(email).toLowerCase(),
+    metadata: { reason },
+  });
+
+// Reply to a throttled login attempt
+const sendLoginThrottled = (res, retryAfterSeconds) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: "Too many failed login attempts. Please try again later.",
+    retryAfterSeconds,
+  });
+};
+
+// @route   POST /api/auth/signup
+// @desc    Register a new user
+// @access  Public
+router.post(
+  "/signup",
+  rateLimitByIp({ name: "signup", windowMs: 60 * 60 * 1000, max: 20 }),
+  guardPublicForm({
+    form: "signup",
+    emailField: "email",
+    // Only the public handle: "name" is a legal name, and real surnames
+    // can look like profanity
+    displayNameFields: ["username"],
+  }),
+  async (req, res) => {
+    try {
+      // Check if signup is enabled
+      const signupSetting = await Settings.findOne({ key: "signupEnabled" });
+      const signupEnabled = signupSetting ? signupSetting.value : false;
+
+      const { username, email, password, name, inviteCode } = req.body;
+
+      // While signup is closed, only invited people can register
+      if (!signupEnabled && !inviteCode) {
+        return res.status(403).json({
+          success: false,
+          message: "Signup is currently disabled",
+        });
+      }
+
+      // Validate required fields
+      if (!username || !email || !password || !name) {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide all required fields",
+        });
+      }
+
+      if (inviteCode) {
+        const invite = await Invite.findByCode(inviteCode);
+        const inviteError = invite
+          ? invite.getUsageError(email)
+          : "Invalid invite code";
+
+        if (inviteError) {
+          return res.status(403).json({
+            success: false,
+            message: inviteError,
+          });
+        }
+      }
+
+      // Check if user already exists (case-insensitive for both email and username)
+      const existingUser = await User.findOne({
+        $or: [
+          { email: email.toLowerCase() },
+          { username: username.toLowerCase() },
+        ],
+      });
+
+      if (existingUser) {
+        const field =
+          existingUser.email.toLowerCase() === email.toLowerCase()
+            ? "email"
+            : "username";
+        return res.status(400).json({
+          success: false,
+          message: `User with this ${field} already exists`,
+        });
+      }
+
+      // Split name into first and last name
+      const nameParts = name.trim().split(" ");
+      const firstName = nameParts[0];
+      const lastName = nameParts.slice(1).join(" ") || firstName; // Use first name as last name if no last name provided
+
+      // Create new user
+      const user = new User({
+        username,
+        email,
+        password,
+        firstName,
+        lastName,
+      });
+
+      await user.save();
+
+      // Use up the invite; if it ran out in the meantime, undo the signup
+      if (inviteCode) {
+        const redeemed = await Invite.redeem(inviteCode, {
+          userId: user.userId,
+          email: user.email,
+        });
+
+        if (!redeemed) {
+          await User.deleteOne({ _id: user._id });
+          return res.status(403).json({
+            success: false,
+            message: "Invite code is no longer valid",
+          });
+        }
+      }
+
+      // Link the waitlist entry (if any) for conversion tracking
+      try {
+        await Waitlist.linkUser(user.email, user.userId);
+      } catch (linkError) {
+        console.error("Waitlist link error:", linkError);
+      }
+
+      // Mail the verification link; a mail failure should not fail the signup
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Verification email error:", mailError);
+      }
+
+      // Start a server-side session and set session cookies using custom userId
+      const { token, refreshToken } = await startUserSession(req, res, user);
+
+      res.status(201).json({
+        success: true,
+        message: "User registered successfully",
+        user: user.toJSON(),
+        userId: user.userId,
+        token,
+        refreshToken,
+      });
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        const errors = Object.values(error.errors).map((err) => err.message);
+        return res.status(400).json({
+          success: false,
+          message: "Validation error",
+          errors,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Server error during registration",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/login
+// @desc    Login user
+// @access  Public
+router.post("/login", async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate required fields
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide email and password",
+      });
+    }
+
+    // Refuse early while the account or IP is backed off / locked out
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginAllowed({ email, ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfterSeconds);
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user) {
+      await recordLoginFailure({ email, ip });
+      await auditLoginFailure(req, email, "unknown_email");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Account is deactivated",
+      });
+    }
+
+    // Check password
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid) {
+      await recordLoginFailure({ email, ip });
+      await auditLoginFailure(req, email, "invalid_password");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid email or password",
+      });
+    }
+
+    // Block unverified accounts when the setting is enabled
+    if (!user.emailVerified && (await isVerificationRequired("login"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email address before logging in",
+        code: "EMAIL_NOT_VERIFIED",
+      });
+    }
+
+    // Only admins may sign in during full maintenance
+    if (await rejectDuringMaintenance(res, user)) return;
+
+    // With 2FA enabled, hand out a challenge instead of a session. The
+    // failure counter is only reset once a session is issued, so knowing
+    // the password does not buy more attempts at the second factor.
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.userId, "2fa"),
+      });
+    }
+
+    // Logging in during the deletion grace period keeps the account
+    const deletionCancelled = await cancelAccountDeletion(user, req);
+
+    // Start a server-side session and set session cookies using custom userId
+    const { token, refreshToken } = await startUserSession(req, res, user);
+    await recordLoginSuccess({ email: user.email });
+    await auditLogin(req, user, "password");
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      user: user.toJSON(),
+      userId: user.userId,
+      token,
+      refreshToken,
+      deletionCancelled,
+      twoFactorSetupRequired: await isTwoFactorRequiredFor(user),
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete login with a TOTP or recovery code
+// @access  Public (requires challenge token)
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide challenge token and code",
+      });
+    }
+
+    // Single use: a wrong code needs the fresh challenge sent back below
+    const challenge = await consumeChallengeToken(challengeToken, "2fa");
+
+    if (!challenge) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge. Please log in again.",
+      });
+    }
+
+    const user = await User.findOne({ userId: challenge.userId });
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge. Please log in again.",
+      });
+    }
+
+    if (await rejectDuringMaintenance(res, user)) return;
+
+    // Wrong codes count as failed logins for the account and IP
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginAllowed({ email: user.email, ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfterSeconds);
+    }
+
+    const method = verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      await recordLoginFailure({ email: user.email, ip });
+      await auditLoginFailure(req, user.email, "invalid_2fa_code");
+      return res.status(401).json({
+        success: false,
+        message: "Invalid two-factor code",
+        challengeToken: generateChallengeToken(user.userId, "2fa"),
+      });
+    }
+
+    await user.save();
+
+    // Logging in during the deletion grace period keeps the account
+    const deletionCancelled = await cancelAccountDeletion(user, req);
+
+    // Start a server-side session and set session cookies using custom userId
+    const { token, refreshToken } = await startUserSession(req, res, user);
+    await recordLoginSuccess({ email: user.email });
+    await auditLogin(req, user, method);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      user: user.toJSON(),
+      userId: user.userId,
+      token,
+      refreshToken,
+      deletionCancelled,
+      recoveryCodesRemaining:
+        method === "recovery_code"
+          ? user.twoFactorRecoveryCodes.length
+          : undefined,
+    });
+  } catch (error) {
+    console.error("2FA login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link
+// @desc    Email a one-time sign-in link
+// @access  Public
+router.post(
+  "/magic-link",
+  rateLimitByIp({ name: "magic-link", windowMs: 15 * 60 * 1000, max: 5 }),
+  async (req, res) => {
+    try {
+      if (!(await Settings.getValue(MAGIC_LINK_SETTING, false))) {
+        return res.status(403).json({
+          success: false,
+          message: "Magic-link login is currently disabled",
+        });
+      }
+
+      const { email } = req.body;
+
+      if (!email || typeof email !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide an email",
+        });
+      }
+
+      // Same response whether or not the account exists to avoid enumeration
+      const genericResponse = {
+        success: true,
+        message:
+          "If an account exists for that email, a sign-in link has been sent",
+      };
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      // Silently stop mailing once the address has had its share of links
+      if (await exceedsMailedLinkCap("magic-link", normalizedEmail)) {
+        return res.json(genericResponse);
+      }
+
+      const user = await User.findOne({ email: normalizedEmail });
+
+      if (!user || !user.isActive) {
+        return res.json(genericResponse);
+      }
+
+      const token = await AuthToken.issue(
+        user.userId,
+        "magic_link",
+        MAGIC_LINK_TTL_MS
+      );
+      const loginUrl = buildFrontendUrl("/magic-link", { token });
+
+      await sendMail({
+        to: user.email,
+        ...magicLinkEmail({ firstName: user.firstName, loginUrl }),
+      });
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Magic link request error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/magic-link/:token
+// @desc    Check a magic link before signing in. Read-only, so link
+//          scanners that merely open the link cannot use it up.
+// @access  Public
+router.get("/magic-link/:token", async (req, res) => {
+  try {
+    if (!(await Settings.getValue(MAGIC_LINK_SETTING, false))) {
+      return res.status(403).json({
+        success: false,
+        message: "Magic-link login is currently disabled",
+      });
+    }
+
+    const authToken = await AuthToken.peek(req.params.token, "magic_link");
+
+    if (!authToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Sign-in link is valid",
+      expiresAt: authToken.expiresAt,
+    });
+  } catch (error) {
+    console.error("Magic link check error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/magic-link/:token
+// @desc    Exchange a magic link for a session once the user confirms
+// @access  Public
+router.post("/magic-link/:token", async (req, res) => {
+  try {
+    if (!(await Settings.getValue(MAGIC_LINK_SETTING, false))) {
+      return res.status(403).json({
+        success: false,
+        message: "Magic-link login is currently disabled",
+      });
+    }
+
+    const authToken = await AuthToken.consume(req.params.token, "magic_link");
+    const user = authToken
+      ? await User.findOne({ userId: authToken.userId })
+      : null;
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired sign-in link",
+      });
+    }
+
+    if (await rejectDuringMaintenance(res, user)) return;
+
+    // Opening the link proves the user owns the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user.userId, "2fa"),
+      });
+    }
+
+    // Logging in during the deletion grace period keeps the account
+    const deletionCancelled = await cancelAccountDeletion(user, req);
+
+    // Start a server-side session and set session cookies using custom userId
+    const { token, refreshToken } = await startUserSession(req, res, user);
+    await recordLoginSuccess({ email: user.email });
+    await auditLogin(req, user, "magic_link");
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      user: user.toJSON(),
+      userId: user.userId,
+      token,
+      refreshToken,
+      deletionCancelled,
+      twoFactorSetupRequired: await isTwoFactorRequiredFor(user),
+    });
+  } catch (error) {
+    console.error("Magic link login error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    });
+  }
+});
+
+// Only allow relative paths on the frontend as post-login destinations
+const sanitizeReturnTo = (returnTo) =>
+  typeof returnTo === "string" && /^\/(?![/\\])/.test(returnTo)
+    ? returnTo
+    : "/";
+
+const getOidcRedirectUri = (req, config) =>
+  config.redirectUri ||
+  `${req.protocol}://${req.get("host")}${req.baseUrl}/oidc/callback`;
+
+// Send the browser back to the frontend login page with an error code
+const redirectOidcError = (res, error) =>
+  res.redirect(buildFrontendUrl("/login", { error: `oidc_${error}` }));
+
+// @route   GET /api/auth/oidc/status
+// @desc    Get whether OpenID Connect login is configured
+// @access  Public
+router.get("/oidc/status", (req, res) => {
+  const config = getOidcConfig();
+  res.json({
+    success: true,
+    enabled: Boolean(config),
+    providerName: config ? config.providerName : null,
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start an OpenID Connect login (redirects to the provider)
+// @access  Public
+router.get(
+  "/oidc/login",
+  rateLimitByIp({ name: "oidc-login", windowMs: 15 * 60 * 1000, max: 30 }),
+  async (req, res) => {
+    try {
+      const config = getOidcConfig();
+      if (!config) {
+        return res.status(404).json({
+          success: false,
+          message: "OpenID Connect login is not configured",
+        });
+      }
+
+      const { state, nonce, codeVerifier, codeChallenge } =
+        createLoginRequest();
+      const redirectUri = getOidcRedirectUri(req, config);
+      const inviteCode =
+        typeof req.query.inviteCode === "string" ? req.query.inviteCode : null;
+
+      res.cookie(
+        OIDC_STATE_COOKIE,
+        signJwt(
+          {
+            purpose: "oidc_login",
+            state,
+            nonce,
+            codeVerifier,
+            returnTo: sanitizeReturnTo(req.query.returnTo),
+            inviteCode,
+          },
+          { type: TOKEN_TYPES.OIDC_STATE, expiresIn: OIDC_STATE_TTL_MS / 1000 }
+        ),
+        { ...OIDC_STATE_COOKIE_CONFIG, maxAge: OIDC_STATE_TTL_MS }
+      );
+
+      res.redirect(
+        await buildAuthorizationUrl({
+          state,
+          nonce,
+          codeChallenge,
+          redirectUri,
+        })
+      );
+    } catch (error) {
+      console.error("OIDC login error:", error);
+      redirectOidcError(res, "unavailable");
+    }
+  }
+);
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish an OpenID Connect login and start a session
+// @access  Public (requires the state cookie set by /oidc/login)
+router.get("/oidc/callback", async (req, res) => {
+  try {
+    const config = getOidcConfig();
+    if (!config) return redirectOidcError(res, "unavailable");
+
+    // The login request can only be used once
+    const stateToken = req.cookies[OIDC_STATE_COOKIE];
+    res.clearCookie(OIDC_STATE_COOKIE, OIDC_STATE_COOKIE_CONFIG);
+
+    let loginRequest;
+    try {
+      loginRequest = stateToken
+        ? verifyJwt(stateToken, { type: TOKEN_TYPES.OIDC_STATE })
+        : null;
+    } catch (stateError) {
+      loginRequest = null;
+    }
+
+    const { state, code, error: providerError } = req.query;
+    if (
+      !loginRequest ||
+      loginRequest.purpose !== "oidc_login" ||
+      typeof state !== "string" ||
+      !safeEqual(state, loginRequest.state)
+    ) {
+      return redirectOidcError(res, "invalid_state");
+    }
+    if (providerError || typeof code !== "string") {
+      return redirectOidcError(res, "denied");
+    }
+
+    const tokens = await exchangeCode({
+      code,
+      codeVerifier: loginRequest.codeVerifier,
+      redirectUri: getOidcRedirectUri(req, config),
+    });
+    const claims = await verifyIdToken(tokens.id_token, {
+      nonce: loginRequest.nonce,
+    });
+
+    const { user, linked, error } = await resolveOidcUser(claims, {
+      inviteCode: loginRequest.inviteCode,
+    });
+    if (error) return redirectOidcError(res, error);
+
+    if (!user.isActive) {
+      await auditLoginFailure(req, user.email, "account_disabled");
+      return redirectOidcError(res, "account_disabled");
+    }
+
+    if (await isLockedOutByMaintenance(user)) {
+      return redirectOidcError(res, "maintenance");
+    }
+
+    if (linked) {
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.OIDC_LINK,
+        actorUserId: user.userId,
+        targetType: "user",
+        targetId: user.userId,
+        metadata: { issuer: config.issuer, subject: String(claims.sub) },
+      });
+    }
+
+    // The provider replaces the password, not the second factor. Tokens go
+    // in the fragment so they never reach server logs.
+    if (user.twoFactorEnabled) {
+      const challengeUrl = new URL(buildFrontendUrl("/oidc/callback"));
+      challengeUrl.hash = new URLSearchParams({
+        challengeToken: generateChallengeToken(user.userId, "2fa"),
+        returnTo: loginRequest.returnTo,
+      }).toString();
+      return res.redirect(challengeUrl.toString());
+    }
+
+    // Logging in during the deletion grace period keeps the account
+    await cancelAccountDeletion(user, req);
+
+    // Start a server-side session and set session cookies using custom userId
+    await startUserSession(req, res, user);
+    await recordLoginSuccess({ email: user.email });
+    await auditLogin(req, user, "oidc");
+
+    res.redirect(buildFrontendUrl(loginRequest.returnTo));
+  } catch (error) {
+    console.error("OIDC callback error:", error);
+    redirectOidcError(res, "failed");
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires refresh token)
+router.post("/refresh", async (req, res) => {
+  try {
+    const presentedToken = getRefreshTokenFromRequest(req);
+
+    if (!presentedToken) {
+      return res.status(401).json({
+        success: false,
+        message: "No refresh token provided",
+      });
+    }
+
+    // Check maintenance before rotating, so a turned-away client keeps a
+    // refresh token that still works once maintenance ends
+    const current = await Session.findByRefreshToken(presentedToken);
+    const owner = current
+      ? await User.findOne({ userId: current.userId }).select("role")
+      : null;
+    if (owner && (await rejectDuringMaintenance(res, owner))) return;
+
+    const { session, refreshToken, error } = await Session.rotateRefreshToken(
+      presentedToken
+    );
+
+    if (error) {
+      clearUserSessionCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const user = await User.findOne({ userId: session.userId }).select(
+      "-password"
+    );
+
+    if (!user || !user.isActive) {
+      await session.revoke("user_inactive");
+      clearUserSessionCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token or user not found.",
+      });
+    }
+
+    await session.touch(getClientInfo(req));
+
+    const token = generateToken(user.userId, session.sessionId);
+    setUserSessionCookies(res, user.userId, token, refreshToken);
+
+    res.json({
+      success: true,
+      message: "Token refreshed",
+      userId: user.userId,
+      token,
+      refreshToken,
+    });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error during token refresh",
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Logout user and revoke the current session
+// @access  Private
+router.post("/logout", async (req, res) => {
+  try {
+    // Find the session from the access token (even if expired) or refresh token
+    let session = null;
+    const token = getTokenFromRequest(req);
+    if (token) {
+      try {
+        const decoded = verifyAccessToken(token, { ignoreExpiration: true });
+        session = await Session.findOne({ sessionId: decoded.sid });
+      } catch (error) {
+        session = null;
+      }
+    }
+
+    if (!session) {
+      const refreshToken = getRefreshTokenFromRequest(req);
+      if (refreshToken) {
+        session = await Session.findByRefreshToken(refreshToken);
+      }
+    }
+
+    if (session) {
+      await session.revoke("logout");
+    }
+  } catch (error) {
+    console.error("Logout session revoke error:", error);
+  }
+
+  clearUserSessionCookies(res);
+  res.json({
+    success: true,
+    message: "Logged out successfully",
+  });
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out everywhere by revoking every session and access token
+// @access  Private
+router.post("/logout-all", authenticateToken, async (req, res) => {
+  try {
+    const { revokedSessions, revokedAccessTokens } =
+      await revokeUserCredentials(req.userId, "logout_all");
+
+    clearUserSessionCookies(res);
+    res.json({
+      success: true,
+      message: "Logged out from all devices",
+      revokedCount: revokedSessions,
+      revokedAccessTokens,
+    });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of the current user
+// @access  Private
+router.get("/sessions", authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.userId);
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) =>
+        session.toDeviceJSON(req.authSession.sessionId)
+      ),
+    });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one session (log out a device)
+// @access  Private
+router.delete("/sessions/:id", authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      sessionId: req.params.id,
+      userId: req.userId,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await session.revoke("device_logout");
+
+    const isCurrent = session.sessionId === req.authSession.sessionId;
+    if (isCurrent) {
+      clearUserSessionCookies(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked",
+      current: isCurrent,
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+  "/forgot-password",
+  rateLimitByIp({ name: "forgot-password", windowMs: 15 * 60 * 1000, max: 5 }),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide an email",
+        });
+      }
+
+      // Same response whether or not the account exists to avoid enumeration
+      const genericResponse = {
+        success: true,
+        message:
+          "If an account exists for that email, a password reset link has been sent",
+      };
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      // Silently stop mailing once the address has had its share of links
+      if (await exceedsMailedLinkCap("password-reset", normalizedEmail)) {
+        return res.json(genericResponse);
+      }
+
+      const user = await User.findOne({ email: normalizedEmail });
+
+      if (!user || !user.isActive) {
+        return res.json(genericResponse);
+      }
+
+      const token = await AuthToken.issue(
+        user.userId,
+        "password_reset",
+        PASSWORD_RESET_TTL_MS
+      );
+      const resetUrl = buildFrontendUrl("/reset-password", { token });
+
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({ firstName: user.firstName, resetUrl }),
+      });
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide token and password",
+      });
+    }
+
+    if (typeof password !== "string" || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    const resetToken = await AuthToken.consume(token, "password_reset");
+
+    if (!resetToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    const user = await User.findOne({ userId: resetToken.userId });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Whoever had the old password should not stay logged in
+    await revokeUserCredentials(user.userId, "password_reset");
+    clearUserSessionCookies(res);
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password.",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    console.error("Reset password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verify email address using the mailed token
+// @access  Public
+router.get("/verify-email/:token", async (req, res) => {
+  try {
+    const verificationToken = await AuthToken.consume(
+      req.params.token,
+      "email_verification"
+    );
+
+    if (!verificationToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification link",
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      { userId: verificationToken.userId },
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired verification link",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Resend the email verification link
+// @access  Public
+router.post(
+  "/resend-verification",
+  rateLimitByIp({
+    name: "resend-verification",
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+  }),
+  async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (!email || typeof email !== "string") {
+        return res.status(400).json({
+          success: false,
+          message: "Please provide an email",
+        });
+      }
+
+      // Same response whether or not the account exists to avoid enumeration
+      const genericResponse = {
+        success: true,
+        message:
+          "If an unverified account exists for that email, a verification link has been sent",
+      };
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      // Silently stop mailing once the address has had its share of links
+      if (await exceedsMailedLinkCap("verification", normalizedEmail)) {
+        return res.json(genericResponse);
+      }
+
+      const user = await User.findOne({ email: normalizedEmail });
+
+      if (!user || !user.isActive || user.emailVerified) {
+        return res.json(genericResponse);
+      }
+
+      await sendVerificationEmail(user);
+
+      res.json(genericResponse);
+    } catch (error) {
+      console.error("Resend verification error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and otpauth URI
+// @access  Private
+router.post("/2fa/setup", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+    });
+  } catch (error) {
+    console.error("2FA setup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/confirm
+// @desc    Confirm 2FA enrollment with a code; returns recovery codes once
+// @access  Private
+router.post("/2fa/confirm", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const { code } = req.body;
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      });
+    }
+
+    // Promote the pending secret, then verify the code against it
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorEnabled = true;
+
+    if (!user.verifyTwoFactorCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    user.twoFactorPendingSecret = undefined;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("2FA confirm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes (invalidates the old ones)
+// @access  Private
+router.post("/2fa/recovery-codes", authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (!user.verifyTwoFactorCode(req.body.code)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid two-factor code",
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    console.error("2FA recovery codes error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable 2FA (requires password and a code)
+// @access  Private
+router.post("/2fa/disable", authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide password and code",
+      });
+    }
+
+    // req.user is loaded without the password hash
+    const user = await User.findOne({ userId: req.userId });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      });
+    }
+
+    if (await isTwoFactorRequiredFor(user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for admin accounts",
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+
+    if (!isPasswordValid || !verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid password or two-factor code",
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("2FA disable error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get current user
+// @access  Private
+router.get("/me", authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user,
+    userId: req.user.userId,
+    permissions: [...getPermissionsFor(req.user)],
+  });
+});
+
+// @route   PATCH /api/auth/me
+// @desc    Update profile (name, username, email)
+// @access  Private
+router.patch("/me", authenticateToken, async (req, res) => {
+  try {
+    const { firstName, lastName, username, email, currentPassword } = req.body;
+    const user = await User.findOne({ userId: req.userId });
+    let emailChanged = false;
+
+    if (firstName !== undefined) user.firstName = firstName;
+    if (lastName !== undefined) user.lastName = lastName;
+
+    if (
+      username !== undefined &&
+      String(username).toLowerCase() !== user.username
+    ) {
+      const usernameError = validateUsernameFormat(username);
+      if (usernameError) {
+        return res.status(400).json({
+          success: false,
+          message: usernameError,
+        });
+      }
+
+      // Same screening as the signup form
+      if (containsProfanity(username)) {
+        return res.status(400).json({
+          success: false,
+          message: "Please choose a different username",
+        });
+      }
+
+      const existingUser = await User.findOne({
+        username: username.toLowerCase(),
+      });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: "Username is already taken",
+        });
+      }
 
-const router = express.Router();
+      user.username = username;
+    }
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
-};
+    if (email !== undefined && String(email).toLowerCase() !== user.email) {
+      // Changing the login email requires the current password, guessed
+      // under the same throttle as logins
+      const { ip } = getClientInfo(req);
+      const throttle = await checkLoginAllowed({ email: user.email, ip });
+      if (!throttle.allowed) {
+        return sendLoginThrottled(res, throttle.retryAfterSeconds);
+      }
 
-// @route   POST /api/auth/signup
-// @desc    Register a new user
-// @access  Public
-router.post("/signup", async (req, res) => {
-  try {
-    // Check if signup is enabled
-    const signupSetting = await Settings.findOne({ key: "signupEnabled" });
-    const signupEnabled = signupSetting ? signupSetting.value : false;
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        if (currentPassword) {
+          await recordLoginFailure({ email: user.email, ip });
+        }
+        return res.status(401).json({
+          success: false,
+          message: "Current password is required to change email",
+        });
+      }
 
-    if (!signupEnabled) {
-      return res.status(403).json({
-        success: false,
-        message: "Signup is currently disabled",
+      const existingUser = await User.findOne({
+        email: String(email).toLowerCase(),
       });
+      if (existingUser) {
+        return res.status(400).json({
+          success: false,
+          message: "User with this email already exists",
+        });
+      }
+
+      user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
+      emailChanged = true;
     }
 
-    const { username, email, password, name } = req.body;
+    await user.save();
 
-    // Validate required fields
-    if (!username || !email || !password || !name) {
+    // The new address has to be verified again
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Verification email error:", mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: emailChanged
+        ? "Profile updated. Please verify your new email address."
+        : "Profile updated",
+      user: user.toJSON(),
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
       return res.status(400).json({
         success: false,
-        message: "Please provide all required fields",
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "Username or email is already taken",
       });
     }
 
-    // Check if user already exists (case-insensitive for both email and username)
-    const existingUser = await User.findOne({
-      $or: [
-        { email: email.toLowerCase() },
-        { username: username.toLowerCase() },
-      ],
+    console.error("Update profile error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// Cap on active personal access tokens per user
+const MAX_ACCESS_TOKENS_PER_USER = 20;
+const DEFAULT_ACCESS_TOKEN_EXPIRY_DAYS = 30;
+
+// @route   GET /api/auth/tokens
+// @desc    List the current user's personal access tokens
+// @access  Private
+router.get("/tokens", authenticateToken, async (req, res) => {
+  try {
+    const accessTokens = await AccessToken.find({ userId: req.userId }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      tokens: accessTokens.map((accessToken) => accessToken.toSummaryJSON()),
+      availableScopes: ALL_TOKEN_SCOPES,
+    });
+  } catch (error) {
+    console.error("List access tokens error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
     });
+  }
+});
+
+// @route   POST /api/auth/tokens
+// @desc    Create a personal access token (the token is only shown once)
+// @access  Private
+router.post("/tokens", authenticateToken, async (req, res) => {
+  try {
+    const {
+      name,
+      scopes,
+      expiresInDays = DEFAULT_ACCESS_TOKEN_EXPIRY_DAYS,
+    } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a name and at least one scope",
+      });
+    }
 
-    if (existingUser) {
-      const field =
-        existingUser.email.toLowerCase() === email.toLowerCase()
-          ? "email"
-          : "username";
+    const unknownScope = scopes.find(
+      (scope) => !ALL_TOKEN_SCOPES.includes(scope)
+    );
+    if (unknownScope) {
       return res.status(400).json({
         success: false,
-        message: `User with this ${field} already exists`,
+        message: `Unknown scope: ${unknownScope}`,
+        availableScopes: ALL_TOKEN_SCOPES,
       });
     }
 
-    // Split name into first and last name
-    const nameParts = name.trim().split(" ");
-    const firstName = nameParts[0];
-    const lastName = nameParts.slice(1).join(" ") || firstName; // Use first name as last name if no last name provided
+    const days = Number(expiresInDays);
+    if (
+      !Number.isInteger(days) ||
+      days < 1 ||
+      days > AccessToken.MAX_EXPIRY_DAYS
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: `expiresInDays must be a whole number between 1 and ${AccessToken.MAX_EXPIRY_DAYS}`,
+      });
+    }
 
-    // Create new user
-    const user = new User({
-      username,
-      email,
-      password,
-      firstName,
-      lastName,
+    const activeCount = await AccessToken.countDocuments({
+      userId: req.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
     });
+    if (activeCount >= MAX_ACCESS_TOKENS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        message: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} active tokens`,
+      });
+    }
 
-    await user.save();
+    const { accessToken, token } = await AccessToken.createForUser(req.userId, {
+      name: String(name),
+      scopes,
+      expiresInDays: days,
+    });
 
-    // Generate token and set session cookies using custom userId
-    const token = generateToken(user.userId);
-    setUserSessionCookies(res, user.userId, token);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCESS_TOKEN_CREATE,
+      targetType: "access_token",
+      targetId: String(accessToken._id),
+      after: { name: accessToken.name, scopes: accessToken.scopes },
+    });
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully",
-      user: user.toJSON(),
-      userId: user.userId,
+      message:
+        "Access token created. Copy it now - it will not be shown again.",
       token,
+      accessToken: accessToken.toSummaryJSON(),
     });
   } catch (error) {
     if (error.name === "ValidationError") {
@@ -100,95 +1671,223 @@ router.post("/signup", async (req, res) => {
       });
     }
 
+    console.error("Create access token error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during registration",
+      message: "Server error",
     });
   }
 });
 
-// @route   POST /api/auth/login
-// @desc    Login user
-// @access  Public
-router.post("/login", async (req, res) => {
+// @route   DELETE /api/auth/tokens/:id
+// @desc    Revoke a personal access token
+// @access  Private
+router.delete("/tokens/:id", authenticateToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: "Access token not found",
+      });
+    }
 
-    // Validate required fields
-    if (!email || !password) {
-      return res.status(400).json({
+    const accessToken = await AccessToken.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!accessToken) {
+      return res.status(404).json({
         success: false,
-        message: "Please provide email and password",
+        message: "Access token not found",
       });
     }
 
-    // Find user by email
-    const user = await User.findOne({ email: email.toLowerCase() });
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.ACCESS_TOKEN_REVOKE,
+      targetType: "access_token",
+      targetId: String(accessToken._id),
+    });
 
-    if (!user) {
-      return res.status(401).json({
+    res.json({
+      success: true,
+      message: "Access token revoked",
+    });
+  } catch (error) {
+    console.error("Revoke access token error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+// @route   GET /api/auth/me/export
+// @desc    Download all personal data as a JSON bundle
+// @access  Private
+router.get(
+  "/me/export",
+  authenticateToken,
+  rateLimitByIp({ name: "account-export", windowMs: 60 * 60 * 1000, max: 5 }),
+  async (req, res) => {
+    try {
+      await streamAccountExport(res, req.user);
+    } catch (error) {
+      console.error("Account export error:", error);
+      // Headers are gone once streaming started; just cut the response
+      if (res.headersSent) return res.end();
+      res.status(500).json({
         success: false,
-        message: "Invalid email or password",
+        message: "Server error",
       });
     }
+  }
+);
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({
+// @route   DELETE /api/auth/me
+// @desc    Schedule the account for deletion after a grace period
+// @access  Private
+router.delete("/me", authenticateToken, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
         success: false,
-        message: "Account is deactivated",
+        message: "Please provide your password",
       });
     }
 
-    // Check password
+    // req.user is loaded without the password hash
+    const user = await User.findOne({ userId: req.userId });
+
+    // Wrong passwords and codes count as failed logins, so a stolen session
+    // cannot be used to guess them
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginAllowed({ email: user.email, ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfterSeconds);
+    }
+
     const isPasswordValid = await user.comparePassword(password);
+    const secondFactorValid =
+      !user.twoFactorEnabled ||
+      verifySecondFactor(user, { code, recoveryCode });
 
-    if (!isPasswordValid) {
+    if (!isPasswordValid || !secondFactorValid) {
+      await recordLoginFailure({ email: user.email, ip });
       return res.status(401).json({
         success: false,
-        message: "Invalid email or password",
+        message: user.twoFactorEnabled
+          ? "Invalid password or two-factor code"
+          : "Invalid password",
+      });
+    }
+
+    // Never leave the platform without an administrator
+    if (user.role === "admin") {
+      const otherAdmins = await User.countDocuments({
+        role: "admin",
+        isActive: true,
+        userId: { $ne: user.userId },
+        deletionScheduledFor: null,
       });
+      if (otherAdmins === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "The last administrator account cannot be deleted",
+        });
+      }
     }
 
-    // Generate token and set session cookies using custom userId
-    const token = generateToken(user.userId);
-    setUserSessionCookies(res, user.userId, token);
+    const scheduledFor = await requestAccountDeletion(user, req);
+    clearUserSessionCookies(res);
 
     res.json({
       success: true,
-      message: "Login successful",
-      user: user.toJSON(),
-      userId: user.userId,
-      token,
+      message:
+        "Your account will be deleted. Log in again before the deletion date to cancel.",
+      deletionScheduledFor: scheduledFor,
     });
   } catch (error) {
+    console.error("Account deletion error:", error);
     res.status(500).json({
       success: false,
-      message: "Server error during login",
+      message: "Server error",
     });
   }
 });
 
-// @route   POST /api/auth/logout
-// @desc    Logout user
+// @route   POST /api/auth/change-password
+// @desc    Change password and log out all other sessions
 // @access  Private
-router.post("/logout", (req, res) => {
-  clearUserSessionCookies(res);
-  res.json({
-    success: true,
-    message: "Logged out successfully",
-  });
-});
+router.post("/change-password", authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
 
-// @route   GET /api/auth/me
-// @desc    Get current user
-// @access  Private
-router.get("/me", authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    user: req.user,
-    userId: req.user.userId,
-  });
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide current and new password",
+      });
+    }
+
+    if (typeof newPassword !== "string" || newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        message: "Password must be at least 6 characters long",
+      });
+    }
+
+    // req.user is loaded without the password hash
+    const user = await User.findOne({ userId: req.userId });
+
+    // Wrong current passwords count as failed logins
+    const { ip } = getClientInfo(req);
+    const throttle = await checkLoginAllowed({ email: user.email, ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle.retryAfterSeconds);
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      await recordLoginFailure({ email: user.email, ip });
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect",
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    const { revokedSessions, revokedAccessTokens } =
+      await revokeUserCredentials(user.userId, "password_change", {
+        exceptSessionId: req.authSession.sessionId,
+      });
+
+    res.json({
+      success: true,
+      message: "Password changed successfully",
+      revokedSessions,
+      revokedAccessTokens,
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      const errors = Object.values(error.errors).map((err) => err.message);
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors,
+      });
+    }
+
+    console.error("Change password error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
 });
 
 // @route   GET /api/auth/verify
@@ -206,50 +1905,49 @@ router.get("/verify", authenticateToken, (req, res) => {
 // @route   GET /api/auth/check-username/:username
 // @desc    Check if username is available
 // @access  Public
-router.get("/check-username/:username", async (req, res) => {
-  try {
-    const { username } = req.params;
+router.get(
+  "/check-username/:username",
+  // Throttle lookups so the endpoint cannot be used to enumerate accounts
+  rateLimitByIp({ name: "check-username", windowMs: 60 * 1000, max: 20 }),
+  async (req, res) => {
+    try {
+      const { username } = req.params;
 
-    // Validate username format
-    if (!username || username.length < 3) {
-      return res.status(400).json({
-        success: false,
-        message: "Username must be at least 3 characters",
-      });
-    }
+      // Validate username format
+      const usernameError = validateUsernameFormat(username);
+      if (usernameError) {
+        return res.status(400).json({
+          success: false,
+          message: usernameError,
+        });
+      }
 
-    if (!/^[a-zA-Z0-9_]+$/.test(username)) {
-      return res.status(400).json({
-        success: false,
-        message: "Username can only contain letters, numbers, and underscores",
+      // Check if username exists (case-insensitive)
+      const existingUser = await User.findOne({
+        username: username.toLowerCase(),
       });
-    }
 
-    // Check if username exists (case-insensitive)
-    const existingUser = await User.findOne({
-      username: username.toLowerCase(),
-    });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          message: "Username is already taken",
+          available: false,
+        });
+      }
 
-    if (existingUser) {
-      return res.status(409).json({
+      res.json({
+        success: true,
+        message: "Username is available",
+        available: true,
+      });
+    } catch (error) {
+      res.status(500).json({
         success: false,
-        message: "Username is already taken",
-        available: false,
+        message: "Server error during username validation",
       });
     }
-
-    res.json({
-      success: true,
-      message: "Username is available",
-      available: true,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Server error during username validation",
-    });
   }
-});
+);
 
 // @route   GET /api/auth/signup-status
 // @desc    Get signup enabled status
@@ -273,41 +1971,74 @@ router.get("/signup-status", async (req, res) => {
 });
 
 // @route   POST /api/auth/toggle-signup
-// @desc    Toggle signup enabled status (Admin only)
-// @access  Private
-router.post("/toggle-signup", authenticateToken, async (req, res) => {
-  try {
-    console.log("Toggle signup request:", {
-      userId: req.userId,
-      enabled: req.body.enabled,
-      userAgent: req.headers["user-agent"],
-    });
+// @desc    Toggle signup enabled status
+// @access  Private (settings.write)
+router.post(
+  "/toggle-signup",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      console.log("Toggle signup request:", {
+        userId: req.userId,
+        enabled: req.body.enabled,
+        userAgent: req.headers["user-agent"],
+      });
 
-    const { enabled } = req.body;
+      const { enabled } = req.body;
 
-    if (typeof enabled !== "boolean") {
-      return res.status(400).json({
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid enabled value. Must be boolean.",
+        });
+      }
+
+      const previous = await Settings.getValue("signupEnabled", false);
+
+      // Update or create the setting
+      const updatedSetting = await Settings.findOneAndUpdate(
+        { key: "signupEnabled" },
+        { value: enabled, updatedAt: new Date() },
+        { upsert: true, new: true }
+      );
+
+      console.log("Setting updated:", updatedSetting);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.SIGNUP_TOGGLE,
+        targetType: "setting",
+        targetId: "signupEnabled",
+        before: { value: previous },
+        after: { value: enabled },
+      });
+
+      res.json({
+        success: true,
+        enabled: enabled,
+        message: `Signup ${enabled ? "enabled" : "disabled"} successfully`,
+      });
+    } catch (error) {
+      console.error("Toggle signup error:", error);
+      res.status(500).json({
         success: false,
-        message: "Invalid enabled value. Must be boolean.",
+        message: "Server error",
       });
     }
+  }
+);
 
-    // Update or create the setting
-    const updatedSetting = await Settings.findOneAndUpdate(
-      { key: "signupEnabled" },
-      { value: enabled, updatedAt: new Date() },
-      { upsert: true, new: true }
-    );
-
-    console.log("Setting updated:", updatedSetting);
-
+// @route   GET /api/auth/magic-link-status
+// @desc    Get whether magic-link login is enabled
+// @access  Public
+router.get("/magic-link-status", async (req, res) => {
+  try {
     res.json({
       success: true,
-      enabled: enabled,
-      message: `Signup ${enabled ? "enabled" : "disabled"} successfully`,
+      enabled: await Settings.getValue(MAGIC_LINK_SETTING, false),
     });
   } catch (error) {
-    console.error("Toggle signup error:", error);
+    console.error("Get magic link status error:", error);
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -315,6 +2046,64 @@ router.post("/toggle-signup", authenticateToken, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/toggle-magic-link
+// @desc    Turn magic-link login on or off
+// @access  Private (settings.write)
+router.post(
+  "/toggle-magic-link",
+  authenticateToken,
+  requirePermission(PERMISSIONS.SETTINGS_WRITE),
+  async (req, res) => {
+    try {
+      const { enabled } = req.body;
+
+      if (typeof enabled !== "boolean") {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid enabled value. Must be boolean.",
+        });
+      }
+
+      const previous = await Settings.getValue(MAGIC_LINK_SETTING, false);
+      await Settings.setValue(MAGIC_LINK_SETTING, enabled);
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.MAGIC_LINK_TOGGLE,
+        targetType: "setting",
+        targetId: MAGIC_LINK_SETTING,
+        before: { value: previous },
+        after: { value: enabled },
+      });
+
+      res.json({
+        success: true,
+        enabled,
+        message: `Magic-link login ${
+          enabled ? "enabled" : "disabled"
+        } successfully`,
+      });
+    } catch (error) {
+      console.error("Toggle magic link error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Server error",
+      });
+    }
+  }
+);
+
+// @route   GET /api/auth/csrf-token
+// @desc    Get the CSRF token to send with cookie-authenticated writes
+// @access  Public
+router.get("/csrf-token", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({
+    success: true,
+    csrfToken: issueCsrfToken(req, res),
+    headerName: CSRF_HEADER,
+  });
+});
+
 // @route   GET /api/auth/current-user-id
 // @desc    Get current user ID from cookies (for frontend convenience)
 // @access  Public
@@ -353,7 +2142,17 @@ router.get("/session-status", async (req, res) => {
     }
 
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
+
+    // Make sure the server-side session is still active
+    const session = await Session.findActive(decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+      return res.json({
+        success: true,
+        isLoggedIn: false,
+        message: "Session expired or revoked",
+      });
+    }
 
     // Use userId from token if cookie userId is not available or doesn't match
     const actualUserId = userId || decoded.userId;
@@ -0,0 +1,27 @@
+const express = require("express");
+const { authenticateToken } = require("../middleware/auth");
+const { getFlagsForUser } = require("../utils/featureFlags");
+
+const router = express.Router();
+
+// @route   GET /api/flags
+// @desc    Get every feature flag evaluated for the current user
+// @access  Private
+router.get("/", authenticateToken, async (req, res) => {
+  try {
+    const flags = await getFlagsForUser(req.user);
+
+    res.json({
+      success: true,
+      flags,
+    });
+  } catch (error) {
+    console.error("Get flags error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,13 @@
 const express = require("express");
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requirePermission,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { recordAudit, AUDIT_ACTIONS } = require("../utils/audit");
+const { rateLimitByIp } = require("../middleware/rateLimit");
+const { guardPublicForm } = require("../middleware/abuseGuard");
 const Quiz = require("../models/Quiz");
 const QuizUser = require("../models/QuizUser");
 
@@ -16,28 +24,11 @@ const generateId = () => {
   return result;
 };
 
-// Guard: only pro users can create/manage quizzes
-const requirePro = (req, res, next) => {
-  console.log("requirePro middleware - user:", req.user);
-  console.log("User subscription:", req.user?.subscription);
-  if (!req.user || req.user.subscription !== "pro") {
-    console.log("Pro subscription check failed");
-    return res
-      .status(403)
-      .json({ success: false, message: "Pro subscription required" });
-  }
-  next();
-};
+// Guard: hosting quizzes (pro subscription or admin)
+const requireHost = requirePermission(PERMISSIONS.QUIZ_HOST);
 
-// Guard: admin only
-const requireAdmin = (req, res, next) => {
-  if (!req.user || req.user.role !== "admin") {
-    return res
-      .status(403)
-      .json({ success: false, message: "Admin access required" });
-  }
-  next();
-};
+// Guard: admin views across all users' quizzes
+const canReadAll = requirePermission(PERMISSIONS.QUIZ_READ_ALL);
 
 // Helper: scrub question options for participants (hide isCorrect)
 const sanitizeQuestionForParticipant = (question) => {
@@ -51,7 +42,7 @@ const sanitizeQuestionForParticipant = (question) => {
 };
 
 // List user's own quizzes
-router.get("/", authenticateToken, requirePro, async (req, res) => {
+router.get("/", authenticateToken, requireHost, async (req, res) => {
   try {
     const { search, limit = 20, page = 1 } = req.query;
     const filters = { ownerUserId: req.user.userId };
@@ -108,7 +99,7 @@ router.get("/", authenticateToken, requirePro, async (req, res) => {
 });
 
 // Create quiz (draft)
-router.post("/", authenticateToken, async (req, res) => {
+router.post("/", authenticateToken, requireHost, async (req, res) => {
   try {
     console.log("Create quiz request body:", req.body);
     console.log("User creating quiz:", req.user);
@@ -145,7 +136,8 @@ router.post("/", authenticateToken, async (req, res) => {
 router.post(
   "/:quizId/publish",
   authenticateToken,
-  requirePro,
+  requireHost,
+  requireVerifiedEmail("quizHosting"),
   async (req, res) => {
     try {
       const { quizId } = req.params;
@@ -160,6 +152,13 @@ router.post(
       quiz.status = "published";
       await quiz.save();
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.QUIZ_PUBLISH,
+        targetType: "quiz",
+        targetId: quiz.quizId,
+        after: { status: quiz.status, joinCode: quiz.joinCode },
+      });
+
       return res.json({
         success: true,
         quizId: quiz.quizId,
@@ -173,7 +172,7 @@ router.post(
 );
 
 // Update draft quiz (replace questions/title/description) - only when in draft
-router.patch("/:quizId", authenticateToken, requirePro, async (req, res) => {
+router.patch("/:quizId", authenticateToken, requireHost, async (req, res) => {
   try {
     const { quizId } = req.params;
     const { title, description, questions } = req.body || {};
@@ -224,115 +223,121 @@ router.get("/:quizId", authenticateToken, async (req, res) => {
 });
 
 // Join quiz via code
-router.post("/join", async (req, res) => {
-  try {
-    const { joinCode, name, userId } = req.body || {};
-    if (!joinCode || !name) {
-      return res
-        .status(400)
-        .json({ success: false, message: "joinCode and name are required" });
-    }
-    const quiz = await Quiz.findOne({ joinCode });
-    if (!quiz)
-      return res
-        .status(404)
-        .json({ success: false, message: "Invalid join code" });
-    if (quiz.status === "ended") {
-      return res
-        .status(400)
-        .json({ success: false, message: "Quiz has ended" });
-    }
+// A whole classroom often shares one IP, so the limit is generous
+router.post(
+  "/join",
+  rateLimitByIp({ name: "quiz-join", windowMs: 10 * 60 * 1000, max: 200 }),
+  guardPublicForm({ form: "quiz-join", displayNameFields: ["name"] }),
+  async (req, res) => {
+    try {
+      const { joinCode, name, userId } = req.body || {};
+      if (!joinCode || !name) {
+        return res
+          .status(400)
+          .json({ success: false, message: "joinCode and name are required" });
+      }
+      const quiz = await Quiz.findOne({ joinCode });
+      if (!quiz)
+        return res
+          .status(404)
+          .json({ success: false, message: "Invalid join code" });
+      if (quiz.status === "ended") {
+        return res
+          .status(400)
+          .json({ success: false, message: "Quiz has ended" });
+      }
 
-    // If userId is provided, prevent joining another active quiz
-    if (userId) {
-      const existingLatest = await QuizUser.findOne({
-        participantUserId: userId,
-      }).sort({ createdAt: -1 });
-      if (existingLatest) {
-        const existingQuiz = await Quiz.findOne({
-          quizId: existingLatest.quizId,
-        });
-        if (existingQuiz && existingQuiz.status !== "ended") {
-          if (existingQuiz.quizId !== quiz.quizId) {
-            return res.status(400).json({
-              success: false,
-              message:
-                "You are already in another active quiz. Finish it before joining another.",
-            });
-          } else {
-            // Same quiz: return existing participant instead of duplicating
-            return res.json({
-              success: true,
-              quizId: quiz.quizId,
-              quizUserId: existingLatest.quizUserId,
-            });
+      // If userId is provided, prevent joining another active quiz
+      if (userId) {
+        const existingLatest = await QuizUser.findOne({
+          participantUserId: userId,
+        }).sort({ createdAt: -1 });
+        if (existingLatest) {
+          const existingQuiz = await Quiz.findOne({
+            quizId: existingLatest.quizId,
+          });
+          if (existingQuiz && existingQuiz.status !== "ended") {
+            if (existingQuiz.quizId !== quiz.quizId) {
+              return res.status(400).json({
+                success: false,
+                message:
+                  "You are already in another active quiz. Finish it before joining another.",
+              });
+            } else {
+              // Same quiz: return existing participant instead of duplicating
+              return res.json({
+                success: true,
+                quizId: quiz.quizId,
+                quizUserId: existingLatest.quizUserId,
+              });
+            }
           }
         }
       }
-    }
 
-    // Ensure uniqueness per quiz + participantUserId
-    if (userId) {
-      const existingSame = await QuizUser.findOne({
-        quizId: quiz.quizId,
-        participantUserId: userId,
-      });
-      if (existingSame) {
-        return res.json({
-          success: true,
+      // Ensure uniqueness per quiz + participantUserId
+      if (userId) {
+        const existingSame = await QuizUser.findOne({
           quizId: quiz.quizId,
-          quizUserId: existingSame.quizUserId,
+          participantUserId: userId,
         });
+        if (existingSame) {
+          return res.json({
+            success: true,
+            quizId: quiz.quizId,
+            quizUserId: existingSame.quizUserId,
+          });
+        }
       }
-    }
 
-    // Use upsert to avoid race condition creating duplicates in parallel tabs
-    const now = new Date();
-    const update = {
-      $setOnInsert: {
-        quizUserId: undefined,
-        joinCode: quiz.joinCode,
-        participantName: String(name).slice(0, 60),
-        participantUserId: userId || undefined,
-        totalScore: 0,
-        responses: [],
-        joinedAt: now,
-        lastAnswerAt: undefined,
-      },
-    };
-    let participant = await QuizUser.findOneAndUpdate(
-      {
-        quizId: quiz.quizId,
-        participantUserId: userId || undefined,
-        participantName: String(name).slice(0, 60),
-      },
-      update,
-      { new: true, upsert: true, setDefaultsOnInsert: true }
-    );
-    if (!participant.quizUserId) {
-      // Assign generated id if newly inserted
-      participant.quizUserId = generateId();
-      await participant.save();
-    }
+      // Use upsert to avoid race condition creating duplicates in parallel tabs
+      const now = new Date();
+      const update = {
+        $setOnInsert: {
+          quizUserId: undefined,
+          joinCode: quiz.joinCode,
+          participantName: String(name).slice(0, 60),
+          participantUserId: userId || undefined,
+          totalScore: 0,
+          responses: [],
+          joinedAt: now,
+          lastAnswerAt: undefined,
+        },
+      };
+      let participant = await QuizUser.findOneAndUpdate(
+        {
+          quizId: quiz.quizId,
+          participantUserId: userId || undefined,
+          participantName: String(name).slice(0, 60),
+        },
+        update,
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+      if (!participant.quizUserId) {
+        // Assign generated id if newly inserted
+        participant.quizUserId = generateId();
+        await participant.save();
+      }
 
-    // notify host via socket
-    const io = req.app.get("io");
-    if (io)
-      io.to(`quiz:${quiz.quizId}`).emit("participant:joined", {
+      // notify host via socket
+      const io = req.app.get("io");
+      if (io)
+        io.to(`quiz:${quiz.quizId}`).emit("participant:joined", {
+          quizId: quiz.quizId,
+          participant,
+        });
+
+      return res.json({
+        success: true,
         quizId: quiz.quizId,
-        participant,
+        quizUserId: participant.quizUserId,
       });
-
-    return res.json({
-      success: true,
-      quizId: quiz.quizId,
-      quizUserId: participant.quizUserId,
-    });
-  } catch (err) {
-    console.error("Join quiz error", err);
-    return res.status(500).json({ success: false, message: "Server error" });
+    } catch (err) {
+      console.error("Join quiz error", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
   }
-});
+);
 
 // Leave quiz (remove participant)
 router.post("/:quizId/leave", async (req, res) => {
@@ -386,7 +391,7 @@ router.post("/:quizId/leave", async (req, res) => {
 router.get(
   "/:quizId/participants",
   authenticateToken,
-  requirePro,
+  requireHost,
   async (req, res) => {
     try {
       const { quizId } = req.params;
@@ -410,7 +415,8 @@ router.get(
 router.post(
   "/:quizId/start",
   authenticateToken,
-  requirePro,
+  requireHost,
+  requireVerifiedEmail("quizHosting"),
   async (req, res) => {
     try {
       const { quizId } = req.params;
@@ -419,11 +425,20 @@ router.post(
         return res
           .status(404)
           .json({ success: false, message: "Quiz not found" });
+      const previousStatus = quiz.status;
       quiz.status = "active";
       quiz.startedAt = new Date();
       quiz.currentQuestionIndex = -1;
       await quiz.save();
 
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.QUIZ_START,
+        targetType: "quiz",
+        targetId: quiz.quizId,
+        before: { status: previousStatus },
+        after: { status: quiz.status },
+      });
+
       const io = req.app.get("io");
       if (io)
         io.to(`quiz:${quiz.quizId}`).emit("quiz:started", {
@@ -442,7 +457,7 @@ router.post(
 router.post(
   "/:quizId/push/:index",
   authenticateToken,
-  requirePro,
+  requireHost,
   async (req, res) => {
     try {
       const { quizId, index } = req.params;
@@ -576,7 +591,7 @@ router.post("/:quizId/answer", async (req, res) => {
 router.get(
   "/:quizId/leaderboard",
   authenticateToken,
-  requirePro,
+  requireHost,
   async (req, res) => {
     try {
       const { quizId } = req.params;
@@ -597,31 +612,47 @@ router.get(
 );
 
 // End quiz (owner)
-router.post("/:quizId/end", authenticateToken, requirePro, async (req, res) => {
-  try {
-    const { quizId } = req.params;
-    const quiz = await Quiz.findOne({ quizId, ownerUserId: req.user.userId });
-    if (!quiz)
-      return res
-        .status(404)
-        .json({ success: false, message: "Quiz not found" });
+router.post(
+  "/:quizId/end",
+  authenticateToken,
+  requireHost,
+  async (req, res) => {
+    try {
+      const { quizId } = req.params;
+      const quiz = await Quiz.findOne({ quizId, ownerUserId: req.user.userId });
+      if (!quiz)
+        return res
+          .status(404)
+          .json({ success: false, message: "Quiz not found" });
 
-    quiz.status = "ended";
-    quiz.endedAt = new Date();
-    // Expire the join code when quiz ends
-    quiz.joinCode = undefined;
-    await quiz.save();
+      const previousStatus = quiz.status;
+      quiz.status = "ended";
+      quiz.endedAt = new Date();
+      // Expire the join code when quiz ends
+      quiz.joinCode = undefined;
+      await quiz.save();
 
-    const io = req.app.get("io");
-    if (io)
-      io.to(`quiz:${quiz.quizId}`).emit("quiz:ended", { quizId: quiz.quizId });
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.QUIZ_END,
+        targetType: "quiz",
+        targetId: quiz.quizId,
+        before: { status: previousStatus },
+        after: { status: quiz.status },
+      });
 
-    return res.json({ success: true });
-  } catch (err) {
-    console.error("End quiz error", err);
-    return res.status(500).json({ success: false, message: "Server error" });
+      const io = req.app.get("io");
+      if (io)
+        io.to(`quiz:${quiz.quizId}`).emit("quiz:ended", {
+          quizId: quiz.quizId,
+        });
+
+      return res.json({ success: true });
+    } catch (err) {
+      console.error("End quiz error", err);
+      return res.status(500).json({ success: false, message: "Server error" });
+    }
   }
-});
+);
 
 // Participant: get current question (sanitized)
 router.get("/:quizId/current", async (req, res) => {
@@ -652,7 +683,7 @@ router.get("/:quizId/current", async (req, res) => {
 router.post(
   "/:quizId/participants/clear",
   authenticateToken,
-  requirePro,
+  requireHost,
   async (req, res) => {
     try {
       const { quizId } = req.params;
@@ -662,7 +693,14 @@ router.post(
           .status(404)
           .json({ success: false, message: "Quiz not found" });
 
-      await QuizUser.deleteMany({ quizId });
+      const { deletedCount } = await QuizUser.deleteMany({ quizId });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.QUIZ_PARTICIPANTS_CLEAR,
+        targetType: "quiz",
+        targetId: quiz.quizId,
+        metadata: { deletedCount },
+      });
       const io = req.app.get("io");
       if (io)
         io.to(`quiz:${quiz.quizId}`).emit("participants:cleared", {
@@ -678,7 +716,7 @@ router.post(
 
 module.exports = router;
 // Admin: list past quizzes (ended)
-router.get("/admin/past", authenticateToken, requireAdmin, async (req, res) => {
+router.get("/admin/past", authenticateToken, canReadAll, async (req, res) => {
   try {
     const { ownerUserId, limit = 50, page = 1, search = "" } = req.query;
     const filters = { status: "ended" };
@@ -714,7 +752,7 @@ router.get("/admin/past", authenticateToken, requireAdmin, async (req, res) => {
 router.get(
   "/admin/:quizId",
   authenticateToken,
-  requireAdmin,
+  canReadAll,
   async (req, res) => {
     try {
       const { quizId } = req.params;
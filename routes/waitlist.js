@@ -1,90 +1,308 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Waitlist = require("../models/Waitlist");
+const { authenticateToken, requirePermission } = require("../middleware/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { recordAudit, AUDIT_ACTIONS } = require("../utils/audit");
+const { inviteWaitlistEntry } = require("../utils/waitlistInvites");
+const { escapeRegex, parseSort } = require("../utils/queryUtils");
+const { buildFrontendUrl } = require("../utils/mailer");
+const {
+  getWaitlistAnalytics,
+  isValidTimezone,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+} = require("../utils/waitlistAnalytics");
+const { rateLimitByIp } = require("../middleware/rateLimit");
+const { guardPublicForm } = require("../middleware/abuseGuard");
+const {
+  getConfirmationDays,
+  verifyConfirmationToken,
+  sendWaitlistConfirmation,
+} = require("../utils/waitlistConfirmation");
 
 const router = express.Router();
 
+const MAX_INVITES_PER_BATCH = 500;
+const MAX_DELETES_PER_BATCH = 1000;
+
+// Fields returned by the admin list and export
+const ADMIN_FIELDS =
+  "name email joinedAt isConfirmed confirmedAt isNotified notifiedAt inviteCode userId referralCode referralCount";
+const SORTABLE_FIELDS = [
+  "joinedAt",
+  "priorityAt",
+  "name",
+  "email",
+  "notifiedAt",
+  "referralCount",
+];
+
+// Build the Mongo filter shared by the admin list and export
+const buildAdminFilters = ({ search, isNotified, status }) => {
+  const filters =
+    status === "pending"
+      ? { isConfirmed: false }
+      : status === "confirmed"
+      ? { ...Waitlist.CONFIRMED_FILTER }
+      : {};
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: "i" };
+    filters.$or = [{ name: pattern }, { email: pattern }];
+  }
+  if (isNotified === "true" || isNotified === "false") {
+    filters.isNotified = isNotified === "true";
+  }
+  return filters;
+};
+
+// Quote a value for CSV output
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Neutralise spreadsheet formulas and escape quotes
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\n\r]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
 // POST /api/waitlist/join - Join the waitlist
-router.post("/join", async (req, res) => {
-  try {
-    const { name, email } = req.body;
+router.post(
+  "/join",
+  rateLimitByIp({ name: "waitlist-join", windowMs: 60 * 60 * 1000, max: 10 }),
+  guardPublicForm({ form: "waitlist-join", emailField: "email" }),
+  async (req, res) => {
+    try {
+      const { name, email, referralCode } = req.body;
 
-    // Validate required fields
-    if (!name || !email) {
-      return res.status(400).json({
-        success: false,
-        message: "Name and email are required",
+      // Validate required fields
+      if (!name || !email) {
+        return res.status(400).json({
+          success: false,
+          message: "Name and email are required",
+        });
+      }
+
+      // Validate name length
+      if (name.trim().length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: "Name must be at least 2 characters long",
+        });
+      }
+
+      if (name.trim().length > 50) {
+        return res.status(400).json({
+          success: false,
+          message: "Name cannot exceed 50 characters",
+        });
+      }
+
+      // Check if email already exists in waitlist
+      const existingEmail = await Waitlist.findOne({
+        email: email.toLowerCase(),
       });
-    }
 
-    // Validate name length
-    if (name.trim().length < 2) {
-      return res.status(400).json({
-        success: false,
-        message: "Name must be at least 2 characters long",
+      // Still pending: send the confirmation link again
+      if (existingEmail && existingEmail.isConfirmed === false) {
+        await sendWaitlistConfirmation(
+          existingEmail,
+          await getConfirmationDays()
+        );
+        return res.json({
+          success: true,
+          message:
+            "Please check your inbox to confirm your spot on the waitlist",
+          data: {
+            name: existingEmail.name,
+            email: existingEmail.email,
+            status: "pending",
+          },
+        });
+      }
+
+      if (existingEmail) {
+        return res.status(400).json({
+          success: false,
+          message: "Email already registered in waitlist",
+        });
+      }
+
+      // Look up who referred this person (unknown codes are ignored).
+      // The referral is credited once this entry is confirmed.
+      const referrer =
+        referralCode && typeof referralCode === "string"
+          ? await Waitlist.findOne({
+              referralCode: referralCode.toUpperCase().trim(),
+            })
+          : null;
+
+      const confirmationDays = await getConfirmationDays();
+
+      // Create new pending waitlist entry
+      const waitlistEntry = new Waitlist({
+        name: name.trim(),
+        email: email.toLowerCase(),
+        referredBy: referrer ? referrer._id : undefined,
+        isConfirmed: false,
+        pendingExpiresAt: new Date(
+          Date.now() + confirmationDays * 24 * 60 * 60 * 1000
+        ),
       });
-    }
 
-    if (name.trim().length > 50) {
-      return res.status(400).json({
+      await waitlistEntry.save();
+
+      try {
+        await sendWaitlistConfirmation(waitlistEntry, confirmationDays);
+      } catch (mailError) {
+        // Without the email the entry can never be confirmed
+        await Waitlist.deleteOne({ _id: waitlistEntry._id });
+        throw mailError;
+      }
+
+      // Get current (confirmed) waitlist count
+      const waitlistCount = await Waitlist.countConfirmed();
+
+      res.status(201).json({
+        success: true,
+        message: "Please check your inbox to confirm your spot on the waitlist",
+        data: {
+          name: waitlistEntry.name,
+          email: waitlistEntry.email,
+          joinedAt: waitlistEntry.joinedAt,
+          totalCount: waitlistCount,
+          status: "pending",
+        },
+      });
+    } catch (error) {
+      console.error("Waitlist join error:", error);
+
+      // Handle validation errors
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid email format",
+        });
+      }
+
+      // Handle duplicate key error (in case of race condition)
+      if (error.code === 11000) {
+        return res.status(400).json({
+          success: false,
+          message: "Email already registered in waitlist",
+        });
+      }
+
+      res.status(500).json({
         success: false,
-        message: "Name cannot exceed 50 characters",
+        message: "Failed to join waitlist. Please try again.",
       });
     }
+  }
+);
 
-    // Check if email already exists in waitlist
-    const existingEmail = await Waitlist.findOne({
-      email: email.toLowerCase(),
-    });
-    if (existingEmail) {
+// GET /api/waitlist/confirm/:token - Confirm a pending entry (double opt-in)
+router.get("/confirm/:token", async (req, res) => {
+  try {
+    const entryId = verifyConfirmationToken(req.params.token);
+    const waitlistEntry = entryId ? await Waitlist.findById(entryId) : null;
+
+    if (!waitlistEntry) {
       return res.status(400).json({
         success: false,
-        message: "Email already registered in waitlist",
+        message: "Invalid or expired confirmation link",
       });
     }
 
-    // Create new waitlist entry
-    const waitlistEntry = new Waitlist({
-      name: name.trim(),
-      email: email.toLowerCase(),
-    });
-
-    await waitlistEntry.save();
+    // Only the first confirmation credits the referrer
+    const confirmed = await Waitlist.confirm(waitlistEntry._id);
+    if (confirmed && confirmed.referredBy) {
+      await Waitlist.creditReferral(confirmed.referredBy);
+    }
 
-    // Get current waitlist count
-    const waitlistCount = await Waitlist.countDocuments();
+    const entry = confirmed || waitlistEntry;
+    const [waitlistCount, position] = await Promise.all([
+      Waitlist.countConfirmed(),
+      entry.getQueuePosition(),
+    ]);
 
-    res.status(201).json({
+    res.json({
       success: true,
-      message: "Successfully joined the waitlist!",
+      message: "Your spot on the waitlist is confirmed!",
       data: {
-        name: waitlistEntry.name,
-        email: waitlistEntry.email,
-        joinedAt: waitlistEntry.joinedAt,
+        name: entry.name,
+        email: entry.email,
+        joinedAt: entry.joinedAt,
         totalCount: waitlistCount,
+        position,
+        referralCode: entry.referralCode,
+        referralUrl: buildFrontendUrl("/", { ref: entry.referralCode }),
+        statusToken: entry.statusToken,
       },
     });
   } catch (error) {
-    console.error("Waitlist join error:", error);
+    console.error("Waitlist confirm error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to confirm waitlist entry",
+    });
+  }
+});
 
-    // Handle validation errors
-    if (error.name === "ValidationError") {
-      return res.status(400).json({
+// GET /api/waitlist/unsubscribe/:token - Look up the entry behind an
+// unsubscribe link. Read-only: mail scanners and prefetchers open links, so
+// removal needs the POST below.
+router.get("/unsubscribe/:token", async (req, res) => {
+  try {
+    const waitlistEntry = await Waitlist.findOne({
+      unsubscribeToken: String(req.params.token),
+    });
+
+    if (!waitlistEntry) {
+      return res.status(404).json({
         success: false,
-        message: "Invalid email format",
+        message: "Waitlist entry not found or already removed",
       });
     }
 
-    // Handle duplicate key error (in case of race condition)
-    if (error.code === 11000) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: {
+        email: waitlistEntry.email,
+        status: waitlistEntry.isConfirmed === false ? "pending" : "confirmed",
+      },
+    });
+  } catch (error) {
+    console.error("Waitlist unsubscribe lookup error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to look up waitlist entry",
+    });
+  }
+});
+
+// POST /api/waitlist/unsubscribe/:token - Remove an entry from the waitlist
+router.post("/unsubscribe/:token", async (req, res) => {
+  try {
+    const waitlistEntry = await Waitlist.findOneAndDelete({
+      unsubscribeToken: String(req.params.token),
+    });
+
+    if (!waitlistEntry) {
+      return res.status(404).json({
         success: false,
-        message: "Email already registered in waitlist",
+        message: "Waitlist entry not found or already removed",
       });
     }
 
+    res.json({
+      success: true,
+      message: "You have been removed from the waitlist",
+    });
+  } catch (error) {
+    console.error("Waitlist unsubscribe error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to join waitlist. Please try again.",
+      message: "Failed to unsubscribe",
     });
   }
 });
@@ -92,7 +310,7 @@ router.post("/join", async (req, res) => {
 // GET /api/waitlist/count - Get waitlist count
 router.get("/count", async (req, res) => {
   try {
-    const count = await Waitlist.countDocuments();
+    const count = await Waitlist.countConfirmed();
 
     res.json({
       success: true,
@@ -109,27 +327,358 @@ router.get("/count", async (req, res) => {
   }
 });
 
-// GET /api/waitlist/list - Get all waitlist entries (admin only - you can add auth middleware later)
-router.get("/list", async (req, res) => {
+// GET /api/waitlist/status/:token - Queue position and referral stats for one entry
+router.get("/status/:token", async (req, res) => {
   try {
-    const waitlistEntries = await Waitlist.find()
-      .select("name email joinedAt isNotified")
-      .sort({ joinedAt: -1 });
+    const waitlistEntry = await Waitlist.findOne({
+      statusToken: String(req.params.token),
+    });
+
+    if (!waitlistEntry) {
+      return res.status(404).json({
+        success: false,
+        message: "Waitlist entry not found",
+      });
+    }
+
+    const [waitlistCount, position] = await Promise.all([
+      Waitlist.countConfirmed(),
+      waitlistEntry.getQueuePosition(),
+    ]);
 
     res.json({
       success: true,
       data: {
-        entries: waitlistEntries,
-        total: waitlistEntries.length,
+        name: waitlistEntry.name,
+        joinedAt: waitlistEntry.joinedAt,
+        position,
+        totalCount: waitlistCount,
+        status: waitlistEntry.isConfirmed === false ? "pending" : "confirmed",
+        isNotified: waitlistEntry.isNotified,
+        referralCode: waitlistEntry.referralCode,
+        referralUrl: buildFrontendUrl("/", {
+          ref: waitlistEntry.referralCode,
+        }),
+        referralCount: waitlistEntry.referralCount,
       },
     });
   } catch (error) {
-    console.error("Waitlist list error:", error);
+    console.error("Waitlist status error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to get waitlist entries",
+      message: "Failed to get waitlist status",
     });
   }
 });
 
+// GET /api/waitlist/list - Paginated, searchable waitlist (admin)
+router.get(
+  "/list",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WAITLIST_READ),
+  async (req, res) => {
+    try {
+      const { sort, limit = 50, page = 1 } = req.query;
+      const filters = buildAdminFilters(req.query);
+
+      const take = Math.min(200, Math.max(1, Math.floor(Number(limit)) || 50));
+      const currentPage = Math.max(1, Math.floor(Number(page)) || 1);
+      const skip = (currentPage - 1) * take;
+
+      const [waitlistEntries, total] = await Promise.all([
+        Waitlist.find(filters)
+          .select(ADMIN_FIELDS)
+          .sort(parseSort(sort, SORTABLE_FIELDS, { joinedAt: -1 }))
+          .skip(skip)
+          .limit(take),
+        Waitlist.countDocuments(filters),
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          entries: waitlistEntries,
+          total,
+        },
+        pagination: {
+          page: currentPage,
+          limit: take,
+          total,
+          hasNext: skip + take < total,
+          hasPrev: currentPage > 1,
+        },
+      });
+    } catch (error) {
+      console.error("Waitlist list error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get waitlist entries",
+      });
+    }
+  }
+);
+
+// GET /api/waitlist/analytics - Growth, conversion and referral stats (admin)
+router.get(
+  "/analytics",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WAITLIST_READ),
+  async (req, res) => {
+    try {
+      const { timezone = "UTC" } = req.query;
+      const to = req.query.to ? new Date(req.query.to) : new Date();
+      const from = req.query.from
+        ? new Date(req.query.from)
+        : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from) || isNaN(to) || from > to) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid date range",
+        });
+      }
+
+      if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+        return res.status(400).json({
+          success: false,
+          message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+        });
+      }
+
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid timezone",
+        });
+      }
+
+      const analytics = await getWaitlistAnalytics({ from, to, timezone });
+
+      res.json({
+        success: true,
+        data: analytics,
+      });
+    } catch (error) {
+      console.error("Waitlist analytics error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get waitlist analytics",
+      });
+    }
+  }
+);
+
+// GET /api/waitlist/export - Export matching entries as CSV or JSON (admin)
+router.get(
+  "/export",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WAITLIST_READ),
+  async (req, res) => {
+    try {
+      const format = req.query.format === "json" ? "json" : "csv";
+      const filters = buildAdminFilters(req.query);
+      const sort = parseSort(req.query.sort, SORTABLE_FIELDS, { joinedAt: 1 });
+      const fileName = `waitlist-${new Date().toISOString().slice(0, 10)}`;
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.WAITLIST_EXPORT,
+        targetType: "waitlist",
+        metadata: { format, filters: req.query },
+      });
+
+      // Stream with a cursor so large lists are never held in memory
+      const cursor = Waitlist.find(filters)
+        .select(ADMIN_FIELDS)
+        .sort(sort)
+        .lean()
+        .cursor();
+      const columns = ADMIN_FIELDS.split(" ");
+
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${fileName}.${format}"`
+      );
+
+      if (format === "json") {
+        res.type("application/json");
+        res.write("[");
+        let first = true;
+        for await (const entry of cursor) {
+          const row = {};
+          columns.forEach((column) => (row[column] = entry[column]));
+          res.write((first ? "" : ",") + JSON.stringify(row));
+          first = false;
+        }
+        res.end("]");
+      } else {
+        res.type("text/csv");
+        res.write(columns.join(",") + "\n");
+        for await (const entry of cursor) {
+          res.write(
+            columns.map((column) => toCsvValue(entry[column])).join(",") + "\n"
+          );
+        }
+        res.end();
+      }
+    } catch (error) {
+      console.error("Waitlist export error:", error);
+      if (res.headersSent) return res.end();
+      res.status(500).json({
+        success: false,
+        message: "Failed to export waitlist",
+      });
+    }
+  }
+);
+
+// POST /api/waitlist/bulk-delete - Delete entries by id (admin)
+router.post(
+  "/bulk-delete",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WAITLIST_WRITE),
+  async (req, res) => {
+    try {
+      const { ids } = req.body;
+
+      if (!Array.isArray(ids) || ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide a list of ids to delete",
+        });
+      }
+
+      if (ids.length > MAX_DELETES_PER_BATCH) {
+        return res.status(400).json({
+          success: false,
+          message: `At most ${MAX_DELETES_PER_BATCH} entries per batch`,
+        });
+      }
+
+      const validIds = ids.filter((id) => mongoose.Types.ObjectId.isValid(id));
+      const entries = await Waitlist.find({ _id: { $in: validIds } }).select(
+        "email"
+      );
+      const { deletedCount } = await Waitlist.deleteMany({
+        _id: { $in: validIds },
+      });
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.WAITLIST_DELETE,
+        targetType: "waitlist",
+        before: { emails: entries.map((entry) => entry.email) },
+        metadata: { deletedCount },
+      });
+
+      res.json({
+        success: true,
+        message: `Deleted ${deletedCount} waitlist entries`,
+        data: { deletedCount },
+      });
+    } catch (error) {
+      console.error("Waitlist bulk delete error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete waitlist entries",
+      });
+    }
+  }
+);
+
+// POST /api/waitlist/invite - Send invites to the next N entries in the queue or to selected ids
+router.post(
+  "/invite",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WAITLIST_WRITE),
+  async (req, res) => {
+    try {
+      const { count, ids, expiresInDays } = req.body;
+      let entries;
+
+      if (Array.isArray(ids) && ids.length > 0) {
+        if (ids.length > MAX_INVITES_PER_BATCH) {
+          return res.status(400).json({
+            success: false,
+            message: `At most ${MAX_INVITES_PER_BATCH} entries per batch`,
+          });
+        }
+        const validIds = ids.filter((id) =>
+          mongoose.Types.ObjectId.isValid(id)
+        );
+        // Selected entries may be re-invited, but not once registered
+        entries = await Waitlist.find({
+          ...Waitlist.CONFIRMED_FILTER,
+          _id: { $in: validIds },
+          userId: null,
+        }).sort({ joinedAt: 1 });
+      } else {
+        const take = Number(count);
+        if (!Number.isInteger(take) || take < 1) {
+          return res.status(400).json({
+            success: false,
+            message: "Provide a positive count or a list of ids",
+          });
+        }
+        // Queue order: referrals move people ahead of their join date
+        entries = await Waitlist.find({
+          ...Waitlist.CONFIRMED_FILTER,
+          isNotified: false,
+          userId: null,
+        })
+          .sort({ priorityAt: 1, _id: 1 })
+          .limit(Math.min(take, MAX_INVITES_PER_BATCH));
+      }
+
+      if (
+        expiresInDays !== undefined &&
+        !(Number(expiresInDays) > 0 && Number(expiresInDays) <= 365)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "expiresInDays must be between 1 and 365",
+        });
+      }
+
+      // Send one by one so a slow mail transport is not flooded
+      const results = [];
+      for (const entry of entries) {
+        results.push(
+          await inviteWaitlistEntry(entry, {
+            createdByUserId: req.userId,
+            expiresInDays,
+          })
+        );
+      }
+
+      const invited = results.filter((result) => result.success).length;
+
+      await recordAudit(req, {
+        action: AUDIT_ACTIONS.WAITLIST_INVITE,
+        targetType: "waitlist",
+        metadata: {
+          requested: Array.isArray(ids) && ids.length > 0 ? ids.length : count,
+          invited,
+          failed: results.length - invited,
+          emails: results.map((result) => result.email),
+        },
+      });
+
+      res.json({
+        success: true,
+        message: `Invited ${invited} of ${results.length} waitlist entries`,
+        data: {
+          invited,
+          failed: results.length - invited,
+          results,
+        },
+      });
+    } catch (error) {
+      console.error("Waitlist invite error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to invite waitlist entries",
+      });
+    }
+  }
+);
+
 module.exports = router;
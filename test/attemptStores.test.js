@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const AttemptCounter = require("../models/AttemptCounter");
+const {
+  createMemoryStore,
+  createMongoStore,
+} = require("../utils/attemptStores");
+
+const WINDOW_MS = 60 * 1000;
+
+// Evaluate the aggregation expressions used by the increment pipeline
+const evaluate = (expr, doc) => {
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return doc[expr.slice(1)] ?? null;
+  }
+  if (expr && typeof expr === "object" && !(expr instanceof Date)) {
+    if (expr.$cond) {
+      const [condition, whenTrue, whenFalse] = expr.$cond;
+      return evaluate(condition, doc)
+        ? evaluate(whenTrue, doc)
+        : evaluate(whenFalse, doc);
+    }
+    if (expr.$gt) {
+      const [left, right] = expr.$gt.map((part) => evaluate(part, doc));
+      // Missing fields sort below everything, as in MongoDB
+      return left !== null && left > right;
+    }
+    if (expr.$add) {
+      return expr.$add.reduce((sum, part) => sum + evaluate(part, doc), 0);
+    }
+  }
+  return expr;
+};
+
+// In-memory stand-in for the attempt_counters collection. Every call yields
+// between reading and writing, so concurrent upserts interleave the way
+// they can against a real server, and a lost insert race fails with a
+// duplicate key error.
+const useFakeCollection = (t) => {
+  const docs = new Map();
+
+  t.mock.method(
+    AttemptCounter,
+    "findOneAndUpdate",
+    async ({ key }, pipeline, { upsert = false } = {}) => {
+      const existing = docs.get(key);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      if (!existing && docs.has(key)) {
+        throw Object.assign(new Error("E11000 duplicate key"), {
+          code: 11000,
+        });
+      }
+      if (!existing && !upsert) return null;
+
+      const current = docs.get(key) || { key };
+      const next = { ...current };
+      for (const [field, expr] of Object.entries(pipeline[0].$set)) {
+        next[field] = evaluate(expr, current);
+      }
+      docs.set(key, next);
+      return next;
+    }
+  );
+
+  return docs;
+};
+
+test("memory store counts concurrent increments once each", async () => {
+  const store = createMemoryStore();
+
+  const records = await Promise.all(
+    Array.from({ length: 10 }, () => store.increment("login:a", WINDOW_MS))
+  );
+
+  assert.deepEqual(
+    records.map((record) => record.count).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+  );
+  assert.equal((await store.get("login:a")).count, 10);
+});
+
+test("memory store starts a new window once the old one is over", async () => {
+  const store = createMemoryStore();
+
+  await store.increment("login:b", 1);
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const record = await store.increment("login:b", WINDOW_MS);
+
+  assert.equal(record.count, 1);
+});
+
+test("mongo store counts concurrent first hits once each", async (t) => {
+  useFakeCollection(t);
+  const store = createMongoStore();
+
+  const records = await Promise.all(
+    Array.from({ length: 5 }, () => store.increment("login:c", WINDOW_MS))
+  );
+
+  assert.deepEqual(
+    records.map((record) => record.count).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5]
+  );
+});
+
+test("mongo store resets the count and lock of an expired window", async (t) => {
+  const docs = useFakeCollection(t);
+  const store = createMongoStore();
+  docs.set("login:d", {
+    key: "login:d",
+    count: 7,
+    lockedUntil: new Date(Date.now() + WINDOW_MS),
+    expiresAt: new Date(Date.now() - 1000),
+  });
+
+  const record = await store.increment("login:d", WINDOW_MS);
+
+  assert.equal(record.count, 1);
+  assert.equal(record.lockedUntil, null);
+  assert.ok(record.expiresAt > new Date());
+});
+
+test("mongo store keeps the window and lock while it is open", async (t) => {
+  const docs = useFakeCollection(t);
+  const store = createMongoStore();
+  const lockedUntil = new Date(Date.now() + WINDOW_MS);
+  const expiresAt = new Date(Date.now() + 2 * WINDOW_MS);
+  docs.set("login:e", { key: "login:e", count: 3, lockedUntil, expiresAt });
+
+  const record = await store.increment("login:e", WINDOW_MS);
+
+  assert.equal(record.count, 4);
+  assert.equal(record.lockedUntil, lockedUntil);
+  assert.equal(record.expiresAt, expiresAt);
+});
@@ -0,0 +1,56 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const {
+  setAttemptStore,
+  createMemoryStore,
+} = require("../utils/attemptStores");
+const {
+  generateChallengeToken,
+  consumeChallengeToken,
+  generateToken,
+} = require("../utils/sessionUtils");
+
+test.beforeEach(() => {
+  setAttemptStore(createMemoryStore());
+});
+
+test("a challenge token can be used once", async () => {
+  const token = generateChallengeToken("user0000000000001", "2fa");
+
+  const first = await consumeChallengeToken(token, "2fa");
+  assert.equal(first.userId, "user0000000000001");
+  assert.equal(await consumeChallengeToken(token, "2fa"), null);
+});
+
+test("concurrent attempts with one token let only one through", async () => {
+  const token = generateChallengeToken("user0000000000002", "2fa");
+
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => consumeChallengeToken(token, "2fa"))
+  );
+
+  assert.equal(results.filter(Boolean).length, 1);
+});
+
+test("each challenge token is used up separately", async () => {
+  const first = generateChallengeToken("user0000000000003", "2fa");
+  const second = generateChallengeToken("user0000000000003", "2fa");
+
+  assert.ok(await consumeChallengeToken(first, "2fa"));
+  assert.ok(await consumeChallengeToken(second, "2fa"));
+});
+
+test("rejects a token minted for another purpose", async () => {
+  const token = generateChallengeToken("user0000000000004", "other");
+
+  assert.equal(await consumeChallengeToken(token, "2fa"), null);
+});
+
+test("rejects an access token presented as a challenge", async () => {
+  const token = generateToken("user0000000000005", "session-id");
+
+  assert.equal(await consumeChallengeToken(token, "2fa"), null);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  csrfProtection,
+  CSRF_COOKIE,
+  CSRF_HEADER,
+} = require("../middleware/csrf");
+
+const buildRequest = ({
+  method = "POST",
+  path = "/api/goals",
+  cookies = {},
+  headers = {},
+} = {}) => {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  return {
+    method,
+    baseUrl: "",
+    path,
+    cookies,
+    header: (name) => lowerCased[name.toLowerCase()],
+  };
+};
+
+// Run the middleware; resolves with the status code, or "next" if it
+// let the request through
+const run = (req) =>
+  new Promise((resolve) => {
+    const res = {
+      status: (code) => ({ json: () => resolve(code) }),
+    };
+    csrfProtection(req, res, () => resolve("next"));
+  });
+
+test("lets safe methods through without a token", async () => {
+  const req = buildRequest({ method: "GET", cookies: { token: "session" } });
+  assert.equal(await run(req), "next");
+});
+
+test("lets requests without session cookies through", async () => {
+  const req = buildRequest({
+    headers: { Authorization: "Bearer access-token" },
+  });
+  assert.equal(await run(req), "next");
+});
+
+test("rejects cookie-authenticated writes without a token", async () => {
+  const req = buildRequest({ cookies: { token: "session" } });
+  assert.equal(await run(req), 403);
+});
+
+test("rejects a Bearer header sent alongside session cookies", async () => {
+  const req = buildRequest({
+    cookies: { token: "session" },
+    headers: { Authorization: "Bearer anything" },
+  });
+  assert.equal(await run(req), 403);
+});
+
+test("rejects a token that does not match the cookie", async () => {
+  const req = buildRequest({
+    cookies: { refreshToken: "session", [CSRF_COOKIE]: "expected" },
+    headers: { [CSRF_HEADER]: "forged" },
+  });
+  assert.equal(await run(req), 403);
+});
+
+test("accepts a token matching the cookie", async () => {
+  const req = buildRequest({
+    cookies: { token: "session", [CSRF_COOKIE]: "expected" },
+    headers: { [CSRF_HEADER]: "expected" },
+  });
+  assert.equal(await run(req), "next");
+});
+
+test("exempts routes that start a session", async () => {
+  for (const path of [
+    "/api/auth/login",
+    "/api/auth/login/2fa",
+    "/api/auth/signup",
+    "/api/auth/magic-link/some-token",
+  ]) {
+    const req = buildRequest({ path, cookies: { token: "stale" } });
+    assert.equal(await run(req), "next", path);
+  }
+});
+
+test("does not exempt other magic-link routes", async () => {
+  const req = buildRequest({
+    path: "/api/auth/toggle-magic-link",
+    cookies: { token: "session" },
+  });
+  assert.equal(await run(req), 403);
+});
@@ -0,0 +1,106 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.KEYRING_SECRET = "test-keyring-secret";
+
+const SigningKey = require("../models/SigningKey");
+const {
+  rotateSigningKey,
+  signJwt,
+  verifyJwt,
+  TOKEN_TYPES,
+} = require("../utils/jwtKeys");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Stand-in for the signing_keys collection
+const useFakeCollection = (t) => {
+  const docs = [];
+
+  t.mock.method(SigningKey, "find", () => ({
+    sort: async ({ generation }) =>
+      [...docs].sort((a, b) => (a.generation - b.generation) * generation),
+  }));
+  t.mock.method(SigningKey, "create", async (data) => {
+    const doc = {
+      _id: docs.length + 1,
+      retiresAt: null,
+      verifyUntil: null,
+      ...data,
+    };
+    docs.push(doc);
+    return doc;
+  });
+  t.mock.method(SigningKey, "updateOne", async ({ _id }, update) => {
+    Object.assign(
+      docs.find((doc) => doc._id === _id),
+      update
+    );
+  });
+
+  return docs;
+};
+
+const sign = () =>
+  signJwt({ userId: "user0000000000001" }, { type: TOKEN_TYPES.ACCESS });
+
+const verify = (token) => verifyJwt(token, { type: TOKEN_TYPES.ACCESS });
+
+const kidOf = (token) =>
+  JSON.parse(Buffer.from(token.split(".")[0], "base64url").toString()).kid;
+
+test("tokens keep verifying across key rotations", async (t) => {
+  const docs = useFakeCollection(t);
+
+  const legacyToken = sign();
+  assert.equal(kidOf(legacyToken), "legacy");
+
+  // The first key is stored ahead of its activation; legacy still signs
+  const first = await rotateSigningKey();
+  assert.equal(kidOf(sign()), "legacy");
+
+  // Once it is active it signs, and legacy tokens are still accepted
+  first.activatesAt = new Date(Date.now() - 1000);
+  const second = await rotateSigningKey();
+  assert.notEqual(second.kid, first.kid);
+  const firstKeyToken = sign();
+  assert.equal(kidOf(firstKeyToken), first.kid);
+  assert.equal(verify(legacyToken).userId, "user0000000000001");
+
+  // After the next rotation the first key only verifies
+  second.activatesAt = new Date(Date.now() - 1000);
+  await rotateSigningKey();
+  assert.equal(kidOf(sign()), second.kid);
+  assert.equal(verify(firstKeyToken).userId, "user0000000000001");
+  assert.ok(docs[0].verifyUntil > new Date());
+
+  // Past the grace period the retired keys are refused
+  docs[0].verifyUntil = new Date(Date.now() - 1000);
+  first.activatesAt = new Date(Date.now() - 30 * DAY_MS);
+  await rotateSigningKey();
+  assert.throws(() => verify(legacyToken), /unknown or retired/);
+  assert.throws(() => verify(firstKeyToken), /unknown or retired/);
+});
+
+test("a token is only accepted as the type it was signed for", () => {
+  const challenge = signJwt(
+    { userId: "user0000000000001", purpose: "2fa" },
+    { type: TOKEN_TYPES.CHALLENGE }
+  );
+
+  assert.throws(() => verify(challenge), /jwt type invalid/);
+  assert.equal(
+    verifyJwt(challenge, { type: TOKEN_TYPES.CHALLENGE }).purpose,
+    "2fa"
+  );
+});
+
+test("rejects a token whose signature was tampered with", () => {
+  const [header, body] = sign().split(".");
+  const forged = `${header}.${body}.${Buffer.from("forged").toString(
+    "base64url"
+  )}`;
+
+  assert.throws(() => verify(forged), /invalid signature/);
+});
@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const { verifySecondFactor } = require("../utils/twoFactor");
+const {
+  generateSecret,
+  generateCodeForStep,
+  getTimeStep,
+} = require("../utils/totp");
+
+const buildUser = () =>
+  new User({
+    userId: "2faTestUser00001",
+    username: "twofactor",
+    email: "twofactor@example.com",
+    password: "unused-password",
+    firstName: "Two",
+    lastName: "Factor",
+    twoFactorEnabled: true,
+    twoFactorSecret: generateSecret(),
+  });
+
+test("accepts a current TOTP code once", () => {
+  const user = buildUser();
+  const code = generateCodeForStep(user.twoFactorSecret, getTimeStep());
+
+  assert.equal(verifySecondFactor(user, { code }), "totp");
+  assert.equal(verifySecondFactor(user, { code }), null);
+});
+
+test("rejects a code from before the last accepted one", () => {
+  const user = buildUser();
+  const step = getTimeStep();
+  const previousCode = generateCodeForStep(user.twoFactorSecret, step - 1);
+  const currentCode = generateCodeForStep(user.twoFactorSecret, step);
+
+  assert.equal(verifySecondFactor(user, { code: currentCode }), "totp");
+  assert.equal(verifySecondFactor(user, { code: previousCode }), null);
+});
+
+test("accepts each recovery code once", () => {
+  const user = buildUser();
+  const [recoveryCode] = user.generateRecoveryCodes();
+
+  assert.equal(verifySecondFactor(user, { recoveryCode }), "recovery_code");
+  assert.equal(verifySecondFactor(user, { recoveryCode }), null);
+});
@@ -0,0 +1,209 @@
+const Settings = require("../models/Settings");
+
+// Settings key holding admin-added disposable email domains
+const DISPOSABLE_DOMAINS_SETTING = "disposableEmailDomains";
+
+// Bundled list of well-known throwaway email providers
+const DISPOSABLE_DOMAINS = [
+  "10minutemail.com",
+  "10minutemail.net",
+  "20minutemail.com",
+  "33mail.com",
+  "anonbox.net",
+  "burnermail.io",
+  "discard.email",
+  "dispostable.com",
+  "dropmail.me",
+  "emailondeck.com",
+  "fakeinbox.com",
+  "fakemail.net",
+  "getairmail.com",
+  "getnada.com",
+  "guerrillamail.biz",
+  "guerrillamail.com",
+  "guerrillamail.de",
+  "guerrillamail.info",
+  "guerrillamail.net",
+  "guerrillamail.org",
+  "guerrillamailblock.com",
+  "harakirimail.com",
+  "inboxbear.com",
+  "incognitomail.org",
+  "jetable.org",
+  "mailcatch.com",
+  "maildrop.cc",
+  "mailinator.com",
+  "mailinator.net",
+  "mailnesia.com",
+  "mailpoof.com",
+  "mintemail.com",
+  "mohmal.com",
+  "moakt.com",
+  "mytemp.email",
+  "mytrashmail.com",
+  "nada.email",
+  "sharklasers.com",
+  "spam4.me",
+  "spambox.us",
+  "spamgourmet.com",
+  "temp-mail.io",
+  "temp-mail.org",
+  "tempail.com",
+  "tempmail.dev",
+  "tempmail.net",
+  "tempmailo.com",
+  "tempr.email",
+  "throwawaymail.com",
+  "trashmail.com",
+  "trashmail.de",
+  "trashmail.net",
+  "yopmail.com",
+  "yopmail.fr",
+  "yopmail.net",
+];
+
+// Words rejected in public display names (matched after normalisation)
+const PROFANITY_WORDS = [
+  "asshole",
+  "bastard",
+  "bitch",
+  "bollocks",
+  "cock",
+  "cunt",
+  "fag",
+  "fuck",
+  "motherfucker",
+  "nigga",
+  "nigger",
+  "penis",
+  "pussy",
+  "retard",
+  "shit",
+  "slut",
+  "twat",
+  "wank",
+  "whore",
+];
+
+// Common character substitutions used to dodge word filters
+const LEET_MAP = {
+  0: "o",
+  1: "i",
+  3: "e",
+  4: "a",
+  5: "s",
+  7: "t",
+  8: "b",
+  "@": "a",
+  $: "s",
+  "!": "i",
+};
+
+/**
+ * Normalise a domain for comparison (lower case, no leading "@" or dots)
+ * @param {string} domain - Domain name
+ * @returns {string} - Normalised domain
+ */
+const normalizeDomain = (domain) =>
+  String(domain || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^[@.]+/, "")
+    .replace(/\.+$/, "");
+
+/**
+ * Get the domains added by admins on top of the bundled list
+ * @returns {Promise<string[]>} - Normalised custom domains
+ */
+const getCustomDisposableDomains = async () => {
+  const value = await Settings.getValue(DISPOSABLE_DOMAINS_SETTING, []);
+  return Array.isArray(value) ? value.map(normalizeDomain) : [];
+};
+
+/**
+ * Check whether an email address belongs to a disposable provider.
+ * Subdomains of blocked domains are blocked as well.
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} - True if the domain is blocked
+ */
+const isDisposableEmail = async (email) => {
+  const domain = normalizeDomain(String(email || "").split("@")[1]);
+  if (!domain) return false;
+
+  const blocked = new Set([
+    ...DISPOSABLE_DOMAINS,
+    ...(await getCustomDisposableDomains()),
+  ]);
+
+  const labels = domain.split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    if (blocked.has(labels.slice(i).join("."))) return true;
+  }
+  return false;
+};
+
+// Blocked words that are also the stem of real surnames ("Cocker",
+// "Cocks"), so they are only blocked on their own, without suffixes
+const EXACT_ONLY_PROFANITY_WORDS = ["cock", "fag", "twat"];
+
+const SUFFIXED_PROFANITY_WORDS = PROFANITY_WORDS.filter(
+  (word) => !EXACT_ONLY_PROFANITY_WORDS.includes(word)
+);
+
+// Blocked words plus common suffixes, matched against whole words only so
+// innocent names that merely contain a blocked word still pass
+const PROFANITY_PATTERN = new RegExp(
+  `^(?:(${SUFFIXED_PROFANITY_WORDS.join("|")})(s|es|er|ers|ing|ed|y)?` +
+    `|${EXACT_ONLY_PROFANITY_WORDS.join("|")})$`
+);
+
+/**
+ * Check whether a display name contains profanity. Words are compared after
+ * undoing common substitutions and joining letters spelled out with
+ * separators, so "sh1t" and "f.u.c.k" are caught too.
+ * @param {string} text - Display name
+ * @returns {boolean} - True if the text contains a blocked word
+ */
+const containsProfanity = (text) => {
+  const substituted = String(text || "")
+    .toLowerCase()
+    .replace(/[0-9@$!]/g, (ch) => LEET_MAP[ch] || ch);
+
+  // Merge runs of single letters ("f u c k") back into one word
+  const words = [];
+  let spelled = "";
+  for (const token of substituted.split(/[^a-z]+/).filter(Boolean)) {
+    if (token.length === 1) {
+      spelled += token;
+      continue;
+    }
+    if (spelled) words.push(spelled);
+    spelled = "";
+    words.push(token);
+  }
+  if (spelled) words.push(spelled);
+
+  return words.some((word) => PROFANITY_PATTERN.test(word));
+};
+
+/**
+ * Check whether a honeypot field was filled in. Real users never see the
+ * field, so any value means the form was submitted by a bot.
+ * @param {Object} body - Request body
+ * @param {string} field - Honeypot field name
+ * @returns {boolean} - True if the honeypot was tripped
+ */
+const isHoneypotTripped = (body, field) => {
+  const value = body ? body[field] : undefined;
+  return value !== undefined && value !== null && String(value).trim() !== "";
+};
+
+module.exports = {
+  DISPOSABLE_DOMAINS_SETTING,
+  DISPOSABLE_DOMAINS,
+  normalizeDomain,
+  getCustomDisposableDomains,
+  isDisposableEmail,
+  containsProfanity,
+  isHoneypotTripped,
+};
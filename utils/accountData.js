@@ -0,0 +1,258 @@
+const User = require("../models/User");
+const Goal = require("../models/Goal");
+const DailyTask = require("../models/DailyTask");
+const DailyStats = require("../models/DailyStats");
+const Quiz = require("../models/Quiz");
+const QuizUser = require("../models/QuizUser");
+const Session = require("../models/Session");
+const AuthToken = require("../models/AuthToken");
+const AccessToken = require("../models/AccessToken");
+const Waitlist = require("../models/Waitlist");
+const Invite = require("../models/Invite");
+const { sendMail } = require("./mailer");
+const { accountDeletionEmail } = require("./emailTemplates");
+const { recordAudit, AUDIT_ACTIONS } = require("./audit");
+const { revokeUserCredentials } = require("./sessionUtils");
+
+// Days between a deletion request and the hard delete; logging in again
+// within this window cancels the request
+const DELETION_GRACE_DAYS =
+  Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+/**
+ * Write a JSON array property from a query cursor so large collections are
+ * never held in memory
+ * @param {Object} res - Express response object
+ * @param {string} name - Property name
+ * @param {Object} cursor - Mongoose query cursor
+ */
+const writeCursorArray = async (res, name, cursor) => {
+  res.write(`,${JSON.stringify(name)}:[`);
+  let first = true;
+  for await (const doc of cursor) {
+    res.write((first ? "" : ",") + JSON.stringify(doc));
+    first = false;
+  }
+  res.write("]");
+};
+
+/**
+ * Stream every piece of personal data held for a user as one JSON document
+ * @param {Object} res - Express response object (headers not yet sent)
+ * @param {Object} user - User document
+ */
+const streamAccountExport = async (res, user) => {
+  const { userId } = user;
+  const ownedQuizIds = (
+    await Quiz.find({ ownerUserId: userId }).select("quizId").lean()
+  ).map((quiz) => quiz.quizId);
+
+  res.type("application/json");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="zerogravity-export-${userId}.json"`
+  );
+
+  res.write(`{"exportedAt":${JSON.stringify(new Date())}`);
+  res.write(`,"user":${JSON.stringify(user.toJSON())}`);
+  await writeCursorArray(res, "goals", Goal.find({ userId }).lean().cursor());
+  await writeCursorArray(
+    res,
+    "dailyTasks",
+    DailyTask.find({ userId }).lean().cursor()
+  );
+  await writeCursorArray(
+    res,
+    "dailyStats",
+    DailyStats.find({ userId }).lean().cursor()
+  );
+  await writeCursorArray(
+    res,
+    "quizzes",
+    Quiz.find({ ownerUserId: userId }).lean().cursor()
+  );
+  await writeCursorArray(
+    res,
+    "quizParticipations",
+    QuizUser.find({ participantUserId: userId }).lean().cursor()
+  );
+  // Participants of the user's own quizzes, without other people's accounts
+  await writeCursorArray(
+    res,
+    "quizResults",
+    QuizUser.find({ quizId: { $in: ownedQuizIds } })
+      .select("-participantUserId")
+      .lean()
+      .cursor()
+  );
+  res.end("}");
+};
+
+/**
+ * Schedule a user's account for deletion after the grace period. All
+ * sessions and access tokens are revoked so every device is signed out.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request that asked for it, for the audit log
+ * @returns {Promise<Date>} - When the account will be deleted
+ */
+const requestAccountDeletion = async (user, req = null) => {
+  const scheduledFor = new Date(
+    Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = scheduledFor;
+  await user.save();
+  await revokeUserCredentials(user.userId, "account_deletion");
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.USER_DELETION_REQUEST,
+    actorUserId: user.userId,
+    targetType: "user",
+    targetId: user.userId,
+    metadata: { scheduledFor },
+  });
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...accountDeletionEmail({
+        firstName: user.firstName,
+        scheduledFor,
+      }),
+    });
+  } catch (mailError) {
+    console.error("Account deletion email error:", mailError);
+  }
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a pending deletion request (called when the user logs in again)
+ * @param {Object} user - User document
+ * @param {Object} req - Express request of the login, for the audit log
+ * @returns {Promise<boolean>} - True if a request was cancelled
+ */
+const cancelAccountDeletion = async (user, req = null) => {
+  if (!user.deletionScheduledFor) return false;
+
+  const { deletionRequestedAt, deletionScheduledFor } = user;
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save();
+
+  await recordAudit(req, {
+    action: AUDIT_ACTIONS.USER_DELETION_CANCEL,
+    actorUserId: user.userId,
+    targetType: "user",
+    targetId: user.userId,
+    metadata: {
+      requestedAt: deletionRequestedAt,
+      scheduledFor: deletionScheduledFor,
+    },
+  });
+  return true;
+};
+
+/**
+ * Hard delete a user and everything that belongs to them. The user document
+ * goes last so a failure part-way is retried on the next purge run.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} - Deleted document counts per collection
+ */
+const purgeAccount = async (user) => {
+  const { userId } = user;
+  const ownedQuizIds = (
+    await Quiz.find({ ownerUserId: userId }).select("quizId").lean()
+  ).map((quiz) => quiz.quizId);
+
+  const [
+    goals,
+    dailyTasks,
+    dailyStats,
+    quizResults,
+    quizParticipations,
+    quizzes,
+    sessions,
+    authTokens,
+    accessTokens,
+    waitlistEntries,
+    inviteRedemptions,
+  ] = await Promise.all([
+    Goal.deleteMany({ userId }),
+    DailyTask.deleteMany({ userId }),
+    DailyStats.deleteMany({ userId }),
+    QuizUser.deleteMany({ quizId: { $in: ownedQuizIds } }),
+    QuizUser.deleteMany({ participantUserId: userId }),
+    Quiz.deleteMany({ ownerUserId: userId }),
+    Session.deleteMany({ userId }),
+    AuthToken.deleteMany({ userId }),
+    AccessToken.deleteMany({ userId }),
+    Waitlist.deleteMany({ userId }),
+    // Redemptions stay so invite usage counts add up, minus the address
+    Invite.updateMany(
+      { "redemptions.userId": userId },
+      { $set: { "redemptions.$[entry].email": "deleted" } },
+      { arrayFilters: [{ "entry.userId": userId }] }
+    ),
+  ]);
+
+  await User.deleteOne({ _id: user._id });
+
+  const deleted = {
+    goals: goals.deletedCount,
+    dailyTasks: dailyTasks.deletedCount,
+    dailyStats: dailyStats.deletedCount,
+    quizzes: quizzes.deletedCount,
+    quizParticipants:
+      quizResults.deletedCount + quizParticipations.deletedCount,
+    sessions: sessions.deletedCount,
+    authTokens: authTokens.deletedCount,
+    accessTokens: accessTokens.deletedCount,
+    waitlistEntries: waitlistEntries.deletedCount,
+  };
+
+  await recordAudit(null, {
+    action: AUDIT_ACTIONS.USER_DELETE,
+    actorUserId: userId,
+    targetType: "user",
+    targetId: userId,
+    metadata: {
+      requestedAt: user.deletionRequestedAt,
+      deleted,
+      scrubbedInvites: inviteRedemptions.modifiedCount,
+    },
+  });
+
+  return deleted;
+};
+
+/**
+ * Hard delete every account whose grace period has ended
+ * @returns {Promise<number>} - Number of accounts deleted
+ */
+const purgeDueAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+  });
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+      purged++;
+    } catch (error) {
+      console.error(`Account purge error (${user.userId}):`, error);
+    }
+  }
+  return purged;
+};
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  streamAccountExport,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+};
@@ -0,0 +1,197 @@
+const AttemptCounter = require("../models/AttemptCounter");
+
+/**
+ * Storage backends for attempt counters (login throttling, rate limits).
+ *
+ * Every store implements the same async interface:
+ *   get(key)                 -> { key, count, lockedUntil, expiresAt } | null
+ *   increment(key, windowMs) -> record after incrementing; a new window of
+ *                               windowMs starts when the key is new/expired
+ *   lock(key, until)         -> record with lockedUntil set
+ *   reset(key)               -> removes the key
+ *   listLocked()             -> records that are currently locked
+ */
+
+const toRecord = (doc) =>
+  doc
+    ? {
+        key: doc.key,
+        count: doc.count,
+        lockedUntil: doc.lockedUntil || null,
+        expiresAt: doc.expiresAt,
+      }
+    : null;
+
+// MongoDB store (default) - shared between all server instances
+const createMongoStore = () => ({
+  name: "mongo",
+
+  get: async (key) => {
+    const doc = await AttemptCounter.findOne({
+      key,
+      expiresAt: { $gt: new Date() },
+    });
+    return toRecord(doc);
+  },
+
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const inWindow = { $gt: ["$expiresAt", now] };
+
+    // One atomic upsert: count inside the current window, or start a new
+    // window when the key is new or its window is over. A separate reset
+    // write would let concurrent first hits both see a count of 1.
+    const update = [
+      {
+        $set: {
+          count: { $cond: [inWindow, { $add: ["$count", 1] }, 1] },
+          lockedUntil: { $cond: [inWindow, "$lockedUntil", null] },
+          expiresAt: {
+            $cond: [inWindow, "$expiresAt", new Date(now.getTime() + windowMs)],
+          },
+        },
+      },
+    ];
+
+    try {
+      const doc = await AttemptCounter.findOneAndUpdate({ key }, update, {
+        new: true,
+        upsert: true,
+      });
+      return toRecord(doc);
+    } catch (error) {
+      // Two upserts raced to insert the key; the loser retries as an update
+      if (error.code !== 11000) throw error;
+      const doc = await AttemptCounter.findOneAndUpdate({ key }, update, {
+        new: true,
+      });
+      return toRecord(doc);
+    }
+  },
+
+  lock: async (key, until) => {
+    const doc = await AttemptCounter.findOneAndUpdate(
+      { key },
+      { lockedUntil: until, $max: { expiresAt: until } },
+      { new: true }
+    );
+    return toRecord(doc);
+  },
+
+  reset: async (key) => {
+    await AttemptCounter.deleteOne({ key });
+  },
+
+  listLocked: async () => {
+    const docs = await AttemptCounter.find({
+      lockedUntil: { $gt: new Date() },
+    }).sort({ lockedUntil: -1 });
+    return docs.map(toRecord);
+  },
+});
+
+// In-memory store - single process only, meant for tests and local runs
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const getLive = (key) => {
+    const record = records.get(key);
+    if (!record) return null;
+    if (record.expiresAt <= new Date()) {
+      records.delete(key);
+      return null;
+    }
+    return record;
+  };
+
+  return {
+    name: "memory",
+
+    get: async (key) => {
+      const record = getLive(key);
+      return record ? { ...record } : null;
+    },
+
+    increment: async (key, windowMs) => {
+      let record = getLive(key);
+      if (!record) {
+        record = {
+          key,
+          count: 0,
+          lockedUntil: null,
+          expiresAt: new Date(Date.now() + windowMs),
+        };
+        records.set(key, record);
+      }
+      record.count += 1;
+      return { ...record };
+    },
+
+    lock: async (key, until) => {
+      const record = getLive(key);
+      if (!record) return null;
+      record.lockedUntil = until;
+      if (record.expiresAt < until) record.expiresAt = until;
+      return { ...record };
+    },
+
+    reset: async (key) => {
+      records.delete(key);
+    },
+
+    listLocked: async () => {
+      const now = new Date();
+      return [...records.keys()]
+        .map(getLive)
+        .filter((record) => record && record.lockedUntil > now)
+        .map((record) => ({ ...record }));
+    },
+  };
+};
+
+const storeFactories = {
+  mongo: createMongoStore,
+  memory: createMemoryStore,
+};
+
+/**
+ * Create an attempt store by name
+ * @param {String} name - "mongo" or "memory"
+ * @returns {Object} - Store instance
+ */
+const createAttemptStore = (name = "mongo") => {
+  const factory = storeFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown attempt store: ${name}`);
+  }
+  return factory();
+};
+
+let activeStore = null;
+
+/**
+ * Get the shared attempt store, created from ATTEMPT_STORE on first use
+ * @returns {Object} - Store instance
+ */
+const getAttemptStore = () => {
+  if (!activeStore) {
+    activeStore = createAttemptStore(process.env.ATTEMPT_STORE || "mongo");
+  }
+  return activeStore;
+};
+
+/**
+ * Replace the shared attempt store (e.g. with an in-memory store in tests)
+ * @param {Object} store - Store instance
+ */
+const setAttemptStore = (store) => {
+  activeStore = store;
+};
+
+module.exports = {
+  getAttemptStore,
+  setAttemptStore,
+  createAttemptStore,
+  createMongoStore,
+  createMemoryStore,
+};
@@ -0,0 +1,58 @@
+const AuditLog = require("../models/AuditLog");
+const { getClientInfo } = require("./sessionUtils");
+
+// Audited actions, grouped by area
+const AUDIT_ACTIONS = {
+  LOGIN: "auth.login",
+  LOGIN_FAILED: "auth.login_failed",
+  OIDC_LINK: "auth.oidc_link",
+  LOCKOUT: "auth.lockout",
+  UNLOCK: "auth.unlock",
+  SIGNING_KEY_ROTATE: "security.signing_key_rotate",
+  SIGNUP_TOGGLE: "settings.signup_toggle",
+  MAGIC_LINK_TOGGLE: "settings.magic_link_toggle",
+  DISPOSABLE_DOMAINS_UPDATE: "settings.disposable_domains",
+  MAINTENANCE_UPDATE: "settings.maintenance",
+  FLAG_UPDATE: "flag.update",
+  FLAG_DELETE: "flag.delete",
+  ACCESS_TOKEN_CREATE: "access_token.create",
+  ACCESS_TOKEN_REVOKE: "access_token.revoke",
+  INVITE_CREATE: "invite.create",
+  INVITE_REVOKE: "invite.revoke",
+  WAITLIST_INVITE: "waitlist.invite",
+  WAITLIST_EXPORT: "waitlist.export",
+  WAITLIST_DELETE: "waitlist.delete",
+  USER_UPDATE_ACCESS: "user.update_access",
+  USER_DEACTIVATE: "user.deactivate",
+  USER_REACTIVATE: "user.reactivate",
+  USER_FORCE_LOGOUT: "user.force_logout",
+  USER_DELETE: "user.delete",
+  USER_DELETION_REQUEST: "user.deletion_request",
+  USER_DELETION_CANCEL: "user.deletion_cancel",
+  QUIZ_PUBLISH: "quiz.publish",
+  QUIZ_START: "quiz.start",
+  QUIZ_END: "quiz.end",
+  QUIZ_PARTICIPANTS_CLEAR: "quiz.participants_clear",
+};
+
+/**
+ * Record an audit log entry. Failures are logged but never break the request
+ * that triggered them.
+ * @param {Object} req - Express request object (actor and IP are taken from
+ *   it); may be null for system events
+ * @param {Object} entry - { action, targetType, targetId, before, after,
+ *   metadata } and optionally actorUserId to override the request's user
+ */
+const recordAudit = async (req, entry) => {
+  try {
+    await AuditLog.create({
+      actorUserId: req?.userId,
+      ip: req ? getClientInfo(req).ip : undefined,
+      ...entry,
+    });
+  } catch (error) {
+    console.error("Audit log error:", error, entry);
+  }
+};
+
+module.exports = { recordAudit, AUDIT_ACTIONS };
@@ -0,0 +1,91 @@
+const crypto = require("crypto");
+
+/**
+ * Generate a cryptographically secure random token
+ * @param {Number} bytes - Number of random bytes (default 32)
+ * @returns {String} - URL-safe token string
+ */
+const generateSecureToken = (bytes = 32) => {
+  return crypto.randomBytes(bytes).toString("base64url");
+};
+
+/**
+ * Hash a token for storage. Only hashes are persisted so a database leak
+ * does not expose usable tokens.
+ * @param {String} token - Plain token
+ * @returns {String} - SHA-256 hex digest
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+};
+
+/**
+ * Constant-time comparison of two strings
+ * @param {String} a - First value
+ * @param {String} b - Second value
+ * @returns {Boolean} - True if both values are equal
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+};
+
+// Key used to encrypt secrets at rest, derived from KEYRING_SECRET. It has
+// its own variable so that rotating JWT_SECRET cannot lock the secrets away.
+const getEncryptionKey = () => {
+  if (!process.env.KEYRING_SECRET) {
+    throw new Error("KEYRING_SECRET is not set");
+  }
+  return crypto
+    .createHash("sha256")
+    .update(process.env.KEYRING_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM)
+ * @param {String} plaintext - Secret to encrypt
+ * @returns {String} - "<iv>.<authTag>.<ciphertext>" in base64url
+ */
+const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {String} payload - Encrypted secret
+ * @returns {String} - Plain secret (throws if tampered or the key changed)
+ */
+const decryptSecret = (payload) => {
+  const [iv, authTag, ciphertext] = String(payload)
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    getEncryptionKey(),
+    iv
+  );
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+module.exports = {
+  generateSecureToken,
+  hashToken,
+  safeEqual,
+  encryptSecret,
+  decryptSecret,
+};
@@ -0,0 +1,107 @@
+/**
+ * Email templates. Each template returns { subject, text } for sendMail.
+ */
+
+const passwordResetEmail = ({ firstName, resetUrl }) => ({
+  subject: "Reset your ZeroGravity password",
+  text: [
+    `Hi ${firstName},`,
+    "",
+    "We received a request to reset your password. Use the link below within the next hour to choose a new one:",
+    "",
+    resetUrl,
+    "",
+    "If you did not request this, you can ignore this email.",
+  ].join("\n"),
+});
+
+const emailVerificationEmail = ({ firstName, verifyUrl }) => ({
+  subject: "Verify your ZeroGravity email",
+  text: [
+    `Hi ${firstName},`,
+    "",
+    "Please confirm your email address by opening the link below within the next 24 hours:",
+    "",
+    verifyUrl,
+    "",
+    "If you did not create a ZeroGravity account, you can ignore this email.",
+  ].join("\n"),
+});
+
+const waitlistConfirmEmail = ({
+  name,
+  confirmUrl,
+  unsubscribeUrl,
+  expiresInDays,
+}) => ({
+  subject: "Confirm your spot on the ZeroGravity waitlist",
+  text: [
+    `Hi ${name},`,
+    "",
+    `Please confirm your email within ${expiresInDays} days to secure your spot on the waitlist:`,
+    "",
+    confirmUrl,
+    "",
+    "If you did not sign up, ignore this email and you will not hear from us again.",
+    "",
+    `Unsubscribe: ${unsubscribeUrl}`,
+  ].join("\n"),
+});
+
+const waitlistInviteEmail = ({
+  name,
+  inviteCode,
+  signupUrl,
+  expiresAt,
+  unsubscribeUrl,
+}) => ({
+  subject: "You're invited to ZeroGravity",
+  text: [
+    `Hi ${name},`,
+    "",
+    "Thanks for waiting - your spot on the ZeroGravity waitlist has come up!",
+    "",
+    `Your invite code: ${inviteCode}`,
+    "",
+    `Create your account here: ${signupUrl}`,
+    "",
+    expiresAt
+      ? `The invite is valid until ${expiresAt.toDateString()} and only works with this email address.`
+      : "The invite only works with this email address.",
+    "",
+    `Unsubscribe: ${unsubscribeUrl}`,
+  ].join("\n"),
+});
+
+const magicLinkEmail = ({ firstName, loginUrl }) => ({
+  subject: "Your ZeroGravity sign-in link",
+  text: [
+    `Hi ${firstName},`,
+    "",
+    "Use the link below within the next 15 minutes to sign in. It works only once:",
+    "",
+    loginUrl,
+    "",
+    "If you did not ask to sign in, you can ignore this email.",
+  ].join("\n"),
+});
+
+const accountDeletionEmail = ({ firstName, scheduledFor }) => ({
+  subject: "Your ZeroGravity account will be deleted",
+  text: [
+    `Hi ${firstName},`,
+    "",
+    `We received a request to delete your account. It and all of your data will be permanently deleted on ${scheduledFor.toDateString()}.`,
+    "",
+    "Changed your mind? Just log in again before then and the deletion will be cancelled.",
+  ].join("\n"),
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  magicLinkEmail,
+  accountDeletionEmail,
+  waitlistConfirmEmail,
+  waitlistInviteEmail,
+};
@@ -0,0 +1,47 @@
+const AuthToken = require("../models/AuthToken");
+const Settings = require("../models/Settings");
+const { sendMail, buildFrontendUrl } = require("./mailer");
+const { emailVerificationEmail } = require("./emailTemplates");
+
+const EMAIL_VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// Settings keys controlling what unverified accounts may do
+const VERIFICATION_SETTINGS = {
+  login: "emailVerificationRequiredForLogin",
+  quizHosting: "emailVerificationRequiredForQuizHosting",
+};
+
+/**
+ * Issue a verification token and mail the verification link to the user
+ * @param {Object} user - User document
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(
+    user.userId,
+    "email_verification",
+    EMAIL_VERIFICATION_TTL_MS
+  );
+  const verifyUrl = buildFrontendUrl("/verify-email", { token });
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ firstName: user.firstName, verifyUrl }),
+  });
+};
+
+/**
+ * Check whether an action requires a verified email
+ * @param {String} action - "login" or "quizHosting"
+ * @returns {Boolean} - True if the setting is enabled
+ */
+const isVerificationRequired = async (action) => {
+  const key = VERIFICATION_SETTINGS[action];
+  if (!key) return false;
+  return (await Settings.getValue(key, false)) === true;
+};
+
+module.exports = {
+  sendVerificationEmail,
+  isVerificationRequired,
+  VERIFICATION_SETTINGS,
+};
@@ -0,0 +1,263 @@
+const crypto = require("crypto");
+const Settings = require("../models/Settings");
+
+/**
+ * Typed feature flags stored in the Settings collection.
+ *
+ * Each flag lives under the key "flag:<name>" and its value holds the
+ * definition: { type, description, defaultValue, enabled, targeting }.
+ * Targeting is evaluated in order: per-user values, per-role values, then a
+ * percentage rollout; anyone not matched gets the default value.
+ */
+
+const FLAG_KEY_PREFIX = "flag:";
+const FLAG_TYPES = ["boolean", "number", "string", "json"];
+const FLAG_NAME_PATTERN = /^[a-z][a-zA-Z0-9_.-]{1,63}$/;
+
+// Other instances pick up changes within this time even without a change
+// stream (change streams need a replica set)
+const CACHE_TTL_MS = Number(process.env.FLAG_CACHE_TTL_MS) || 30 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+
+/**
+ * Drop the in-process flag cache so the next read reloads from Mongo
+ */
+const invalidateFlagCache = () => {
+  cache = null;
+  cacheLoadedAt = 0;
+};
+
+/**
+ * Load every flag definition, using the in-process cache when fresh
+ * @returns {Promise<Map<string, Object>>} - Flag name -> definition
+ */
+const loadFlags = async () => {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const settings = await Settings.find({
+    key: { $regex: `^${FLAG_KEY_PREFIX}` },
+  }).lean();
+
+  cache = new Map(
+    settings.map((setting) => [
+      setting.key.slice(FLAG_KEY_PREFIX.length),
+      { ...setting.value, name: setting.key.slice(FLAG_KEY_PREFIX.length) },
+    ])
+  );
+  cacheLoadedAt = Date.now();
+  return cache;
+};
+
+/**
+ * Check a value against a flag type
+ * @param {string} type - One of FLAG_TYPES
+ * @param {*} value - Candidate value
+ * @returns {boolean} - True if the value fits the type
+ */
+const isValidFlagValue = (type, value) => {
+  switch (type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "string":
+      return typeof value === "string";
+    case "json":
+      return value !== undefined;
+    default:
+      return false;
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Validate a flag definition, returning the first problem found
+ * @param {Object} definition - { type, defaultValue, targeting }
+ * @returns {string|null} - Error message or null when valid
+ */
+const getFlagDefinitionError = ({ type, defaultValue, targeting = {} }) => {
+  if (!FLAG_TYPES.includes(type)) {
+    return `type must be one of: ${FLAG_TYPES.join(", ")}`;
+  }
+  if (!isValidFlagValue(type, defaultValue)) {
+    return `defaultValue must be a ${type} value`;
+  }
+
+  if (!isPlainObject(targeting)) {
+    return "targeting must be an object";
+  }
+
+  const { users = {}, roles = {}, percentage } = targeting;
+  if (!isPlainObject(users) || !isPlainObject(roles)) {
+    return "targeting.users and targeting.roles must be objects";
+  }
+  for (const value of [...Object.values(users), ...Object.values(roles)]) {
+    if (!isValidFlagValue(type, value)) {
+      return `Targeted values must be ${type} values`;
+    }
+  }
+
+  if (percentage) {
+    if (!isPlainObject(percentage)) {
+      return "targeting.percentage must be an object";
+    }
+    const { rollout, value } = percentage;
+    if (typeof rollout !== "number" || rollout < 0 || rollout > 100) {
+      return "percentage.rollout must be a number between 0 and 100";
+    }
+    if (!isValidFlagValue(type, value)) {
+      return `percentage.value must be a ${type} value`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Stable 0-99.99 bucket for a user within a flag, so a user keeps the same
+ * rollout result as the percentage grows
+ * @param {string} name - Flag name
+ * @param {string} userId - User ID
+ * @returns {number} - Bucket
+ */
+const getRolloutBucket = (name, userId) => {
+  const hash = crypto.createHash("sha256").update(`${name}:${userId}`).digest();
+  return (hash.readUInt32BE(0) / 0x100000000) * 100;
+};
+
+/**
+ * Evaluate a flag definition for a user
+ * @param {Object} flag - Flag definition
+ * @param {Object} user - User document (may be null)
+ * @returns {*} - Flag value for this user
+ */
+const evaluateFlag = (flag, user) => {
+  if (flag.enabled === false) return flag.defaultValue;
+
+  const { users = {}, roles = {}, percentage } = flag.targeting || {};
+
+  if (user && Object.prototype.hasOwnProperty.call(users, user.userId)) {
+    return users[user.userId];
+  }
+  if (user && Object.prototype.hasOwnProperty.call(roles, user.role)) {
+    return roles[user.role];
+  }
+  if (
+    user &&
+    percentage &&
+    getRolloutBucket(flag.name, user.userId) < percentage.rollout
+  ) {
+    return percentage.value;
+  }
+
+  return flag.defaultValue;
+};
+
+/**
+ * Get a single flag's value for a user
+ * @param {string} name - Flag name
+ * @param {Object} user - User document (may be null)
+ * @param {*} fallback - Returned when the flag does not exist
+ * @returns {Promise<*>} - Flag value
+ */
+const getFlag = async (name, user = null, fallback = null) => {
+  const flag = (await loadFlags()).get(name);
+  return flag ? evaluateFlag(flag, user) : fallback;
+};
+
+/**
+ * Evaluate every flag for a user
+ * @param {Object} user - User document (may be null)
+ * @returns {Promise<Object>} - Flag name -> value
+ */
+const getFlagsForUser = async (user) => {
+  const flags = {};
+  for (const [name, flag] of await loadFlags()) {
+    flags[name] = evaluateFlag(flag, user);
+  }
+  return flags;
+};
+
+/**
+ * List every flag definition
+ * @returns {Promise<Object[]>} - Definitions sorted by name
+ */
+const listFlags = async () =>
+  [...(await loadFlags()).values()].sort((a, b) =>
+    a.name.localeCompare(b.name)
+  );
+
+/**
+ * Get one flag definition
+ * @param {string} name - Flag name
+ * @returns {Promise<Object|null>} - Definition or null
+ */
+const getFlagDefinition = async (name) => (await loadFlags()).get(name) || null;
+
+/**
+ * Create or replace a flag definition. Callers validate it first.
+ * @param {string} name - Flag name
+ * @param {Object} definition - { type, description, defaultValue, enabled,
+ *   targeting }
+ * @returns {Promise<Object>} - Saved definition
+ */
+const saveFlag = async (
+  name,
+  { type, description = "", defaultValue, enabled = true, targeting = {} }
+) => {
+  const value = { type, description, defaultValue, enabled, targeting };
+  await Settings.setValue(`${FLAG_KEY_PREFIX}${name}`, value);
+  invalidateFlagCache();
+  return { ...value, name };
+};
+
+/**
+ * Delete a flag definition
+ * @param {string} name - Flag name
+ * @returns {Promise<boolean>} - True if a flag was removed
+ */
+const deleteFlag = async (name) => {
+  const result = await Settings.deleteOne({ key: `${FLAG_KEY_PREFIX}${name}` });
+  invalidateFlagCache();
+  return result.deletedCount > 0;
+};
+
+/**
+ * Invalidate the cache when another instance changes a flag. Uses a Mongo
+ * change stream where the deployment supports one; otherwise the cache TTL
+ * applies.
+ */
+const watchFlagChanges = () => {
+  try {
+    const stream = Settings.watch();
+    stream.on("change", () => invalidateFlagCache());
+    stream.on("error", (error) => {
+      console.warn("Feature flag change stream unavailable:", error.message);
+      stream.close().catch(() => {});
+    });
+  } catch (error) {
+    console.warn("Feature flag change stream unavailable:", error.message);
+  }
+};
+
+module.exports = {
+  FLAG_TYPES,
+  FLAG_NAME_PATTERN,
+  invalidateFlagCache,
+  isValidFlagValue,
+  getFlagDefinitionError,
+  evaluateFlag,
+  getFlag,
+  getFlagsForUser,
+  listFlags,
+  getFlagDefinition,
+  saveFlag,
+  deleteFlag,
+  watchFlagChanges,
+};
@@ -0,0 +1,420 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const SigningKey = require("../models/SigningKey");
+const {
+  generateSecureToken,
+  encryptSecret,
+  decryptSecret,
+} = require("./cryptoUtils");
+
+/**
+ * JWT signing keyring.
+ *
+ * Every token is signed with the current key and carries its id in the "kid"
+ * header. Keys rotate on a schedule; a retired key keeps verifying tokens for
+ * a grace period, so rotating never logs anyone out. New keys are stored
+ * before they become active so that every instance has loaded them by the
+ * time they sign anything.
+ *
+ * JWT_SECRET is the "legacy" key: it signs until the first keyring key
+ * activates, verifies tokens without a kid, and is retired like any other
+ * key after that. Stored keys are encrypted with KEYRING_SECRET; without it
+ * the keyring stays off and JWT_SECRET signs everything.
+ *
+ * Every token names its kind in the "typ" header and the audience, so a
+ * token minted for one purpose (say a 2FA challenge) is never accepted as
+ * another, here or by services that verify against the published JWKS.
+ */
+
+const SIGNING_ALGORITHMS = ["HS256", "RS256", "EdDSA"];
+
+const TOKEN_TYPES = {
+  ACCESS: "access",
+  CHALLENGE: "challenge",
+  OIDC_STATE: "oidc_state",
+  WAITLIST_CONFIRM: "waitlist_confirm",
+};
+
+const JWT_ISSUER = process.env.JWT_ISSUER || "zerogravity";
+const LEGACY_KID = "legacy";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ROTATION_DAYS = Number(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+// A retired key verifies for this long, so no token may live longer
+// (MAX_TOKEN_LIFETIME_DAYS caps the longest-lived ones, confirmation links)
+const GRACE_DAYS = Number(process.env.JWT_KEY_GRACE_DAYS) || 14;
+const MAX_TOKEN_LIFETIME_DAYS = GRACE_DAYS;
+const REFRESH_INTERVAL_MS =
+  (Number(process.env.JWT_KEY_REFRESH_MINUTES) || 5) * 60 * 1000;
+const ACTIVATION_DELAY_MS = 2 * REFRESH_INTERVAL_MS;
+
+let keys = null;
+let refreshTimer = null;
+
+// Stored keys can only be encrypted/decrypted with KEYRING_SECRET
+const isKeyringEnabled = () => Boolean(process.env.KEYRING_SECRET);
+
+const getConfiguredAlgorithm = () => {
+  const alg = process.env.JWT_SIGNING_ALG || "HS256";
+  if (!SIGNING_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported JWT_SIGNING_ALG: ${alg}`);
+  }
+  return alg;
+};
+
+const getLegacyKey = () => ({
+  kid: LEGACY_KID,
+  alg: "HS256",
+  signingKey: process.env.JWT_SECRET,
+  verifyKey: process.env.JWT_SECRET,
+  publicJwk: null,
+  activatesAt: new Date(0),
+  verifyUntil: null,
+});
+
+// Loaded keys by kid; only the legacy key until the keyring is loaded
+const getKeys = () => {
+  if (!keys) keys = new Map([[LEGACY_KID, getLegacyKey()]]);
+  return keys;
+};
+
+// Decrypt a stored key into signing/verification material
+const toLoadedKey = (doc) => {
+  const material = decryptSecret(doc.encryptedKey);
+  const signingKey =
+    doc.alg === "HS256" ? material : crypto.createPrivateKey(material);
+
+  return {
+    kid: doc.kid,
+    alg: doc.alg,
+    signingKey,
+    verifyKey:
+      doc.alg === "HS256" ? material : crypto.createPublicKey(signingKey),
+    publicJwk: doc.publicJwk,
+    activatesAt: doc.activatesAt,
+    verifyUntil: doc.verifyUntil,
+  };
+};
+
+/**
+ * Reload the keyring from the database. Throws, keeping the keys loaded
+ * so far, if any stored key cannot be decrypted: dropping it could leave
+ * no key able to sign.
+ * @returns {Promise<Object[]>} - Key documents, oldest first
+ */
+const loadKeys = async () => {
+  const docs = await SigningKey.find().sort({ generation: 1 });
+
+  const legacy = getLegacyKey();
+  if (docs.length) {
+    // Once generation 1 has been cleaned up the legacy grace is long over
+    legacy.verifyUntil =
+      docs[0].generation === 1
+        ? new Date(docs[0].activatesAt.getTime() + GRACE_DAYS * DAY_MS)
+        : new Date(0);
+  }
+
+  const loaded = new Map([[LEGACY_KID, legacy]]);
+  for (const doc of docs) {
+    try {
+      loaded.set(doc.kid, toLoadedKey(doc));
+    } catch (error) {
+      throw new Error(
+        `JWT key ${doc.kid} could not be decrypted; check KEYRING_SECRET (${error.message})`
+      );
+    }
+  }
+
+  keys = loaded;
+  return docs;
+};
+
+const generateKeyMaterial = (alg) => {
+  if (alg === "HS256") {
+    return { material: generateSecureToken(64), publicJwk: null };
+  }
+
+  const { privateKey, publicKey } =
+    alg === "RS256"
+      ? crypto.generateKeyPairSync("rsa", { modulusLength: 2048 })
+      : crypto.generateKeyPairSync("ed25519");
+
+  return {
+    material: privateKey.export({ type: "pkcs8", format: "pem" }),
+    publicJwk: publicKey.export({ format: "jwk" }),
+  };
+};
+
+/**
+ * Store the next key and schedule the current one's retirement
+ * @param {Object} latest - Newest key document (may be null)
+ * @returns {Promise<Object|null>} - New key document, or null if another
+ *   instance rotated first
+ */
+const createNextKey = async (latest) => {
+  const alg = getConfiguredAlgorithm();
+  const kid = generateSecureToken(12);
+  const { material, publicJwk } = generateKeyMaterial(alg);
+  const activatesAt = new Date(Date.now() + ACTIVATION_DELAY_MS);
+
+  let doc;
+  try {
+    doc = await SigningKey.create({
+      kid,
+      generation: latest ? latest.generation + 1 : 1,
+      alg,
+      encryptedKey: encryptSecret(material),
+      publicJwk: publicJwk ? { ...publicJwk, kid, alg, use: "sig" } : null,
+      activatesAt,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  if (latest) {
+    await SigningKey.updateOne(
+      { _id: latest._id },
+      {
+        retiresAt: activatesAt,
+        verifyUntil: new Date(activatesAt.getTime() + GRACE_DAYS * DAY_MS),
+      }
+    );
+  }
+
+  return doc;
+};
+
+/**
+ * Reload the keyring and create the next key when the current one is due
+ * for rotation
+ */
+const rotateIfDue = async () => {
+  const docs = await loadKeys();
+  const latest = docs[docs.length - 1];
+
+  if (!latest || Date.now() - latest.activatesAt >= ROTATION_DAYS * DAY_MS) {
+    const created = await createNextKey(latest);
+    if (created) {
+      console.log(
+        `Scheduled JWT signing key ${created.kid} (${
+          created.alg
+        }) for ${created.activatesAt.toISOString()}`
+      );
+    }
+    await loadKeys();
+  }
+};
+
+/**
+ * Rotate now, regardless of the schedule. If a rotation is already pending
+ * the pending key is returned instead of creating another.
+ * @returns {Promise<Object>} - The upcoming key document
+ */
+const rotateSigningKey = async () => {
+  const docs = await loadKeys();
+  const latest = docs[docs.length - 1];
+
+  if (latest && latest.activatesAt > new Date()) return latest;
+
+  const created = await createNextKey(latest);
+  const refreshed = await loadKeys();
+  return created || refreshed[refreshed.length - 1];
+};
+
+/**
+ * Load the keyring and keep it fresh (rotating on schedule). Call once the
+ * database connection is up. Rejects when stored keys exist but cannot be
+ * used, since tokens signed with them could no longer be verified.
+ */
+const initKeyring = async () => {
+  if (!isKeyringEnabled()) {
+    if (await SigningKey.exists({})) {
+      throw new Error(
+        "KEYRING_SECRET is not set but signing keys are stored; set it to the value the keys were encrypted with"
+      );
+    }
+    console.warn(
+      "KEYRING_SECRET is not set: JWT key rotation is off and JWT_SECRET signs all tokens"
+    );
+    return;
+  }
+
+  await rotateIfDue();
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(() => {
+      rotateIfDue().catch((error) =>
+        console.error("JWT keyring refresh error:", error)
+      );
+    }, REFRESH_INTERVAL_MS);
+    refreshTimer.unref();
+  }
+};
+
+// Newest active key; the legacy secret until the keyring has one
+const getSigningKey = () => {
+  const now = new Date();
+  let current = null;
+  for (const key of getKeys().values()) {
+    if (key.kid === LEGACY_KID || key.activatesAt > now) continue;
+    if (!current || key.activatesAt > current.activatesAt) current = key;
+  }
+  return current || getKeys().get(LEGACY_KID);
+};
+
+// Claims and header values that identify a token kind
+const getTokenTypeClaims = (type) => {
+  if (!Object.values(TOKEN_TYPES).includes(type)) {
+    throw new Error(`Unknown JWT type: ${type}`);
+  }
+  return {
+    typ: `${type}+jwt`,
+    audience: `${JWT_ISSUER}:${type}`,
+    issuer: JWT_ISSUER,
+  };
+};
+
+// jsonwebtoken has no EdDSA support: let it build the claims (iat, exp,
+// aud, iss), then sign them with node:crypto
+const signEdDsa = (payload, key, { typ, ...options }) => {
+  const claims = jwt.decode(jwt.sign(payload, "claims-only", options));
+  const header = Buffer.from(
+    JSON.stringify({ alg: "EdDSA", typ, kid: key.kid })
+  ).toString("base64url");
+  const body = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = crypto.sign(
+    null,
+    Buffer.from(`${header}.${body}`),
+    key.signingKey
+  );
+  return `${header}.${body}.${signature.toString("base64url")}`;
+};
+
+const verifyEdDsa = (token, key, options) => {
+  const [header, body, signature = ""] = token.split(".");
+  const isValid = crypto.verify(
+    null,
+    Buffer.from(`${header}.${body}`),
+    key.verifyKey,
+    Buffer.from(signature, "base64url")
+  );
+  if (!isValid) throw new jwt.JsonWebTokenError("invalid signature");
+
+  const claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  if (
+    !options.ignoreExpiration &&
+    typeof claims.exp === "number" &&
+    Date.now() >= claims.exp * 1000
+  ) {
+    throw new jwt.TokenExpiredError("jwt expired", new Date(claims.exp * 1000));
+  }
+  return claims;
+};
+
+/**
+ * Sign a JWT with the current key
+ * @param {Object} payload - Token claims
+ * @param {Object} options - { type } one of TOKEN_TYPES, plus { expiresIn }
+ *   as accepted by jsonwebtoken
+ * @returns {String} - Signed JWT with kid and typ headers
+ */
+const signJwt = (payload, { type, ...options } = {}) => {
+  const { typ, audience, issuer } = getTokenTypeClaims(type);
+  const key = getSigningKey();
+  const claimOptions = { ...options, audience, issuer };
+  if (key.alg === "EdDSA") {
+    return signEdDsa(payload, key, { ...claimOptions, typ });
+  }
+
+  return jwt.sign(payload, key.signingKey, {
+    ...claimOptions,
+    algorithm: key.alg,
+    keyid: key.kid,
+    header: { typ },
+  });
+};
+
+/**
+ * Verify a JWT of the given type against the key named in its kid header.
+ * Throws the same errors as jsonwebtoken (JsonWebTokenError,
+ * TokenExpiredError).
+ * @param {String} token - JWT
+ * @param {Object} options - { type } one of TOKEN_TYPES, plus extra
+ *   jsonwebtoken verify options
+ * @returns {Object} - Decoded payload
+ */
+const verifyJwt = (token, { type, ...options } = {}) => {
+  const { typ, audience, issuer } = getTokenTypeClaims(type);
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) throw new jwt.JsonWebTokenError("jwt malformed");
+  if (decoded.header.typ !== typ) {
+    throw new jwt.JsonWebTokenError(`jwt type invalid. expected: ${typ}`);
+  }
+
+  const key = getKeys().get(decoded.header.kid || LEGACY_KID);
+  if (!key || (key.verifyUntil && key.verifyUntil <= new Date())) {
+    throw new jwt.JsonWebTokenError("unknown or retired signing key");
+  }
+  // Never let the token pick the algorithm
+  if (decoded.header.alg !== key.alg) {
+    throw new jwt.JsonWebTokenError("invalid algorithm");
+  }
+
+  const claims =
+    key.alg === "EdDSA"
+      ? verifyEdDsa(token, key, options)
+      : jwt.verify(token, key.verifyKey, { ...options, algorithms: [key.alg] });
+
+  if (claims.aud !== audience) {
+    throw new jwt.JsonWebTokenError(
+      `jwt audience invalid. expected: ${audience}`
+    );
+  }
+  if (claims.iss !== issuer) {
+    throw new jwt.JsonWebTokenError(`jwt issuer invalid. expected: ${issuer}`);
+  }
+  return claims;
+};
+
+/**
+ * Public keys of asymmetric keys that can still verify tokens, including
+ * keys that are about to activate
+ * @returns {Object} - JWKS document
+ */
+const getJwks = () => {
+  const now = new Date();
+  return {
+    keys: [...getKeys().values()]
+      .filter(
+        (key) => key.publicJwk && (!key.verifyUntil || key.verifyUntil > now)
+      )
+      .map((key) => key.publicJwk),
+  };
+};
+
+/**
+ * Key summaries for the admin API, newest first
+ * @returns {Promise<Object[]>} - Summaries with a "current" marker
+ */
+const listSigningKeys = async () => {
+  const currentKid = getSigningKey().kid;
+  const docs = await SigningKey.find().sort({ generation: -1 });
+  return docs.map((doc) => ({
+    ...doc.toSummaryJSON(),
+    current: doc.kid === currentKid,
+  }));
+};
+
+module.exports = {
+  SIGNING_ALGORITHMS,
+  TOKEN_TYPES,
+  MAX_TOKEN_LIFETIME_DAYS,
+  isKeyringEnabled,
+  initKeyring,
+  rotateSigningKey,
+  signJwt,
+  verifyJwt,
+  getJwks,
+  listSigningKeys,
+};
@@ -0,0 +1,162 @@
+const { getAttemptStore } = require("./attemptStores");
+const { recordAudit, AUDIT_ACTIONS } = require("./audit");
+
+/**
+ * Login brute-force protection.
+ *
+ * Failed logins are counted per account (email) and per client IP. After a
+ * few free attempts every further failure adds an exponentially growing
+ * delay, and hitting the threshold locks the key for a fixed period.
+ * Unknown emails are counted exactly like real ones so lockouts do not
+ * reveal which accounts exist.
+ */
+
+const POLICIES = {
+  account: {
+    freeAttempts: 3,
+    lockoutThreshold: 10,
+    lockoutMs: 15 * 60 * 1000, // 15 minutes
+  },
+  ip: {
+    freeAttempts: 10,
+    lockoutThreshold: 50,
+    lockoutMs: 15 * 60 * 1000, // 15 minutes
+  },
+};
+
+const FAILURE_WINDOW_MS = 60 * 60 * 1000; // failures are forgotten after 1 hour
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const accountKey = (email) =>
+  `login:account:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+const buildKeys = ({ email, ip }) => {
+  const keys = [];
+  if (email) keys.push({ key: accountKey(email), policy: POLICIES.account });
+  if (ip) keys.push({ key: ipKey(ip), policy: POLICIES.ip });
+  return keys;
+};
+
+// Delay imposed after the given number of failures
+const delayFor = (failures, policy) => {
+  if (failures >= policy.lockoutThreshold) return policy.lockoutMs;
+  if (failures <= policy.freeAttempts) return 0;
+  const exponent = failures - policy.freeAttempts - 1;
+  return Math.min(BASE_DELAY_MS * 2 ** exponent, MAX_DELAY_MS);
+};
+
+// Log lockout/unlock events in one place so they are easy to find
+const logThrottleEvent = (event, details) => {
+  console.warn(`[login-throttle] ${event}`, details);
+};
+
+/**
+ * Check whether a login attempt is currently allowed
+ * @param {Object} params - { email, ip }
+ * @returns {Object} - { allowed, retryAfterSeconds }
+ */
+const checkLoginAllowed = async (params) => {
+  const now = Date.now();
+  let retryAfterMs = 0;
+
+  for (const { key } of buildKeys(params)) {
+    const record = await getAttemptStore().get(key);
+    if (record && record.lockedUntil && record.lockedUntil > now) {
+      retryAfterMs = Math.max(retryAfterMs, record.lockedUntil - now);
+    }
+  }
+
+  return {
+    allowed: retryAfterMs === 0,
+    retryAfterSeconds: Math.ceil(retryAfterMs / 1000),
+  };
+};
+
+/**
+ * Record a failed login attempt and apply backoff/lockout
+ * @param {Object} params - { email, ip }
+ */
+const recordLoginFailure = async (params) => {
+  for (const { key, policy } of buildKeys(params)) {
+    const record = await getAttemptStore().increment(key, FAILURE_WINDOW_MS);
+    const delayMs = delayFor(record.count, policy);
+
+    if (delayMs > 0) {
+      await getAttemptStore().lock(key, new Date(Date.now() + delayMs));
+    }
+
+    if (record.count === policy.lockoutThreshold) {
+      const details = {
+        key,
+        failures: record.count,
+        lockedForSeconds: Math.round(policy.lockoutMs / 1000),
+      };
+      logThrottleEvent("lockout", details);
+
+      const [, type, ...rest] = key.split(":");
+      await recordAudit(null, {
+        action: AUDIT_ACTIONS.LOCKOUT,
+        targetType: type,
+        targetId: rest.join(":"),
+        metadata: details,
+      });
+    }
+  }
+};
+
+/**
+ * Clear the account counter after a successful login. The IP counter is
+ * left alone so one valid account cannot be used to reset it.
+ * @param {Object} params - { email }
+ */
+const recordLoginSuccess = async ({ email }) => {
+  if (email) await getAttemptStore().reset(accountKey(email));
+};
+
+/**
+ * Remove a lockout (admin action)
+ * @param {Object} params - { email } or { ip }
+ * @param {String} actorUserId - Admin performing the unlock
+ * @returns {Boolean} - True if something was unlocked
+ */
+const unlock = async ({ email, ip }, actorUserId) => {
+  const key = email ? accountKey(email) : ip ? ipKey(ip) : null;
+  if (!key) return false;
+
+  const record = await getAttemptStore().get(key);
+  await getAttemptStore().reset(key);
+
+  const wasLocked = !!(record && record.lockedUntil > new Date());
+  logThrottleEvent("unlock", { key, actorUserId, wasLocked });
+  return wasLocked;
+};
+
+/**
+ * List keys that are currently locked
+ * @returns {Array} - [{ type, value, failures, lockedUntil }]
+ */
+const listLockouts = async () => {
+  const records = await getAttemptStore().listLocked();
+  return records
+    .filter((record) => record.key.startsWith("login:"))
+    .map((record) => {
+      const [, type, ...rest] = record.key.split(":");
+      return {
+        type,
+        value: rest.join(":"),
+        failures: record.count,
+        lockedUntil: record.lockedUntil,
+      };
+    });
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlock,
+  listLockouts,
+  POLICIES,
+};
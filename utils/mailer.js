@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Pluggable mail transport.
+ *
+ * A transport is any object with an async `send(message)` method. The active
+ * transport is picked with MAIL_TRANSPORT ("console" by default, or "file").
+ * Mail carries sign-in, reset and verification links, so in production the
+ * console driver logs only the envelope and never the message body.
+ * Other drivers (SMTP, an email API, ...) can be added with registerTransport
+ * without touching the routes that send mail.
+ */
+
+const DEFAULT_FROM =
+  process.env.MAIL_FROM || "ZeroGravity <no-reply@zerogravity.app>";
+
+// Console driver - prints every message, handy for local development
+const createConsoleTransport = (options = {}) => {
+  const redact = options.redact ?? process.env.NODE_ENV === "production";
+
+  return {
+    name: "console",
+    send: async (message) => {
+      console.log("=== OUTGOING EMAIL ===");
+      console.log(`From: ${message.from}`);
+      console.log(`To: ${message.to}`);
+      console.log(`Subject: ${message.subject}`);
+      console.log(
+        redact
+          ? "[body redacted - set MAIL_TRANSPORT to deliver mail]"
+          : message.text
+      );
+      console.log("======================");
+      return { messageId: message.messageId };
+    },
+  };
+};
+
+// File driver - writes each message as JSON into an outbox directory so
+// flows can be exercised offline and inspected afterwards
+const createFileTransport = (options = {}) => {
+  const outboxDir = path.resolve(
+    options.outboxDir || process.env.MAIL_OUTBOX_DIR || "outbox"
+  );
+
+  return {
+    name: "file",
+    outboxDir,
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${message.messageId}.json`;
+      const filePath = path.join(outboxDir, fileName);
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      return { messageId: message.messageId, path: filePath };
+    },
+  };
+};
+
+const transportFactories = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let activeTransport = null;
+
+/**
+ * Register a transport driver
+ * @param {String} name - Driver name used in MAIL_TRANSPORT
+ * @param {Function} factory - Returns an object with an async send(message)
+ */
+const registerTransport = (name, factory) => {
+  transportFactories[name] = factory;
+};
+
+/**
+ * Replace the active transport (e.g. with a custom or in-memory one)
+ * @param {Object} transport - Object with an async send(message)
+ */
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+/**
+ * Get the active transport, creating it from MAIL_TRANSPORT on first use
+ * @returns {Object} - Active transport
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = factory();
+  }
+  return activeTransport;
+};
+
+/**
+ * Send an email through the active transport
+ * @param {Object} options - { to, subject, text, html }
+ * @returns {Object} - Transport result including messageId
+ */
+const sendMail = async ({ to, subject, text, html, from }) => {
+  if (!to || !subject || !text) {
+    throw new Error("Email requires to, subject and text");
+  }
+
+  const message = {
+    messageId: crypto.randomUUID(),
+    from: from || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html,
+    createdAt: new Date().toISOString(),
+  };
+
+  return getTransport().send(message);
+};
+
+/**
+ * Build an absolute link into the frontend app
+ * @param {String} pathname - Path on the frontend, e.g. "/reset-password"
+ * @param {Object} params - Query string parameters
+ * @returns {String} - Absolute URL
+ */
+const buildFrontendUrl = (pathname, params = {}) => {
+  const base = process.env.FRONTEND_URL || "http://localhost:3000";
+  const url = new URL(pathname, base);
+  Object.entries(params).forEach(([key, value]) =>
+    url.searchParams.set(key, value)
+  );
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  registerTransport,
+  setTransport,
+  getTransport,
+  buildFrontendUrl,
+  createConsoleTransport,
+  createFileTransport,
+};
@@ -0,0 +1,88 @@
+const Settings = require("../models/Settings");
+const Quiz = require("../models/Quiz");
+
+// Settings key holding { mode, message, endsAt }
+const MAINTENANCE_SETTING = "maintenanceMode";
+const MAINTENANCE_MODES = ["off", "read_only", "full"];
+
+const DEFAULT_MESSAGE =
+  "ZeroGravity is undergoing scheduled maintenance. Please try again shortly.";
+const DEFAULT_RETRY_AFTER_SECONDS = 5 * 60;
+
+// Every request checks the mode, so keep a short-lived copy in memory
+const CACHE_TTL_MS = 5 * 1000;
+let cachedState = null;
+let cachedAt = 0;
+
+/**
+ * Get the current maintenance state
+ * @returns {Promise<Object>} - { mode, message, endsAt }
+ */
+const getMaintenanceState = async () => {
+  if (cachedState && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedState;
+  }
+
+  const value = await Settings.getValue(MAINTENANCE_SETTING, null);
+  cachedState = {
+    mode: MAINTENANCE_MODES.includes(value?.mode) ? value.mode : "off",
+    message: value?.message || DEFAULT_MESSAGE,
+    endsAt: value?.endsAt ? new Date(value.endsAt) : null,
+  };
+  cachedAt = Date.now();
+  return cachedState;
+};
+
+/**
+ * Update the maintenance state
+ * @param {Object} state - { mode, message, endsAt }
+ * @returns {Promise<Object>} - Saved state
+ */
+const setMaintenanceState = async ({ mode, message, endsAt }) => {
+  const value = {
+    mode,
+    message: message || DEFAULT_MESSAGE,
+    endsAt: endsAt || null,
+  };
+  await Settings.setValue(MAINTENANCE_SETTING, value);
+  cachedState = null;
+  return getMaintenanceState();
+};
+
+/**
+ * Seconds clients should wait before retrying
+ * @param {Object} state - Maintenance state
+ * @returns {number} - Retry-After value
+ */
+const getRetryAfterSeconds = (state) => {
+  if (!state.endsAt) return DEFAULT_RETRY_AFTER_SECONDS;
+  return Math.max(1, Math.ceil((state.endsAt.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Warn hosts and participants of every open quiz over their sockets
+ * @param {Object} io - socket.io server
+ * @param {Object} payload - { mode, message, startsAt, endsAt }
+ * @returns {Promise<number>} - Number of quiz rooms notified
+ */
+const notifyActiveQuizzes = async (io, payload) => {
+  if (!io) return 0;
+
+  const quizzes = await Quiz.find({
+    status: { $in: ["published", "active"] },
+  }).select("quizId");
+
+  quizzes.forEach((quiz) =>
+    io.to(`quiz:${quiz.quizId}`).emit("system:maintenance", payload)
+  );
+  return quizzes.length;
+};
+
+module.exports = {
+  MAINTENANCE_SETTING,
+  MAINTENANCE_MODES,
+  getMaintenanceState,
+  setMaintenanceState,
+  getRetryAfterSeconds,
+  notifyActiveQuizzes,
+};
@@ -0,0 +1,385 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Settings = require("../models/Settings");
+const Invite = require("../models/Invite");
+const Waitlist = require("../models/Waitlist");
+const { generateSecureToken, safeEqual } = require("./cryptoUtils");
+const { revokeUserCredentials } = require("./sessionUtils");
+
+/**
+ * OpenID Connect login (authorization code flow with PKCE).
+ *
+ * Configured through OIDC_ISSUER, OIDC_CLIENT_ID and OIDC_CLIENT_SECRET;
+ * OIDC_REDIRECT_URI overrides the callback URL and OIDC_PROVIDER_NAME the
+ * label shown by the frontend. Run `npm run mock-oidc` for a local issuer.
+ */
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_SECONDS = 60;
+
+// crypto.verify settings per JWS algorithm supported for ID tokens
+const ID_TOKEN_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: {
+    hash: "sha256",
+    padding: crypto.constants.RSA_PKCS1_PSS_PADDING,
+    saltLength: 32,
+  },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" },
+  EdDSA: { hash: null },
+};
+
+let discoveryCache = null;
+let jwksCache = null;
+
+/**
+ * Read the provider configuration from the environment
+ * @returns {Object|null} - { issuer, clientId, clientSecret, redirectUri,
+ *   scopes, providerName } or null when OIDC login is not configured
+ */
+const getOidcConfig = () => {
+  const { OIDC_ISSUER, OIDC_CLIENT_ID, OIDC_CLIENT_SECRET } = process.env;
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID || !OIDC_CLIENT_SECRET) return null;
+
+  return {
+    issuer: OIDC_ISSUER.replace(/\/+$/, ""),
+    clientId: OIDC_CLIENT_ID,
+    clientSecret: OIDC_CLIENT_SECRET,
+    redirectUri: process.env.OIDC_REDIRECT_URI || null,
+    scopes: process.env.OIDC_SCOPES || "openid email profile",
+    providerName: process.env.OIDC_PROVIDER_NAME || "OpenID Connect",
+  };
+};
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body) {
+    const reason = body && body.error ? body.error : response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+};
+
+/**
+ * Fetch (and cache) the issuer's discovery document
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const discover = async () => {
+  const { issuer } = getOidcConfig();
+  if (
+    discoveryCache &&
+    discoveryCache.issuer === issuer &&
+    Date.now() - discoveryCache.fetchedAt < DISCOVERY_CACHE_MS
+  ) {
+    return discoveryCache.metadata;
+  }
+
+  const metadata = await fetchJson(
+    `${issuer}/.well-known/openid-configuration`
+  );
+  if (metadata.issuer.replace(/\/+$/, "") !== issuer) {
+    throw new Error("OIDC discovery issuer does not match OIDC_ISSUER");
+  }
+
+  discoveryCache = { issuer, metadata, fetchedAt: Date.now() };
+  return metadata;
+};
+
+/**
+ * Find the provider's public key for a kid, refetching the JWKS once when
+ * the key is unknown (the provider may have rotated)
+ * @param {string} kid - Key id from the ID token header
+ * @returns {Promise<Object|null>} - JWK or null
+ */
+const getProviderKey = async (kid) => {
+  const findKey = () =>
+    jwksCache && jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+  const { jwks_uri: jwksUri } = await discover();
+  if (!jwksCache || jwksCache.uri !== jwksUri || !findKey()) {
+    const { keys } = await fetchJson(jwksUri);
+    jwksCache = { uri: jwksUri, keys: keys || [] };
+  }
+  return findKey() || null;
+};
+
+/**
+ * Generate the per-login secrets: state, nonce and PKCE verifier/challenge
+ * @returns {Object} - { state, nonce, codeVerifier, codeChallenge }
+ */
+const createLoginRequest = () => {
+  const codeVerifier = generateSecureToken(48);
+  return {
+    state: generateSecureToken(),
+    nonce: generateSecureToken(),
+    codeVerifier,
+    codeChallenge: crypto
+      .createHash("sha256")
+      .update(codeVerifier)
+      .digest("base64url"),
+  };
+};
+
+/**
+ * Build the provider's authorization URL
+ * @param {Object} params - { state, nonce, codeChallenge, redirectUri }
+ * @returns {Promise<string>} - URL to redirect the browser to
+ */
+const buildAuthorizationUrl = async ({
+  state,
+  nonce,
+  codeChallenge,
+  redirectUri,
+}) => {
+  const config = getOidcConfig();
+  const { authorization_endpoint: authorizationEndpoint } = await discover();
+
+  const url = new URL(authorizationEndpoint);
+  url.searchParams.set("response_type", "code");
+  url.searchParams.set("client_id", config.clientId);
+  url.searchParams.set("redirect_uri", redirectUri);
+  url.searchParams.set("scope", config.scopes);
+  url.searchParams.set("state", state);
+  url.searchParams.set("nonce", nonce);
+  url.searchParams.set("code_challenge", codeChallenge);
+  url.searchParams.set("code_challenge_method", "S256");
+  return url.toString();
+};
+
+/**
+ * Exchange an authorization code for tokens
+ * @param {Object} params - { code, codeVerifier, redirectUri }
+ * @returns {Promise<Object>} - Token response (includes id_token)
+ */
+const exchangeCode = async ({ code, codeVerifier, redirectUri }) => {
+  const config = getOidcConfig();
+  const { token_endpoint: tokenEndpoint } = await discover();
+
+  const tokens = await fetchJson(tokenEndpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+      Authorization: `Basic ${Buffer.from(
+        `${encodeURIComponent(config.clientId)}:${encodeURIComponent(
+          config.clientSecret
+        )}`
+      ).toString("base64")}`,
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri,
+      code_verifier: codeVerifier,
+    }),
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("OIDC token response did not include an id_token");
+  }
+  return tokens;
+};
+
+/**
+ * Validate an ID token: signature (provider JWKS), issuer, audience,
+ * expiry and nonce
+ * @param {string} idToken - Compact JWS
+ * @param {Object} options - { nonce } expected nonce
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, { nonce }) => {
+  const config = getOidcConfig();
+  const [encodedHeader, encodedPayload, encodedSignature] =
+    String(idToken).split(".");
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    throw new Error("Malformed ID token");
+  }
+
+  const header = JSON.parse(
+    Buffer.from(encodedHeader, "base64url").toString("utf8")
+  );
+  const claims = JSON.parse(
+    Buffer.from(encodedPayload, "base64url").toString("utf8")
+  );
+  const algorithm = ID_TOKEN_ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  const jwk = await getProviderKey(header.kid);
+  if (!jwk) throw new Error("ID token signed with an unknown key");
+  if (jwk.alg && jwk.alg !== header.alg) {
+    throw new Error("ID token algorithm does not match the signing key");
+  }
+
+  const { hash, ...verifyOptions } = algorithm;
+  const isValid = crypto.verify(
+    hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    {
+      key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      ...verifyOptions,
+    },
+    Buffer.from(encodedSignature, "base64url")
+  );
+  if (!isValid) throw new Error("Invalid ID token signature");
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+  if (String(claims.iss).replace(/\/+$/, "") !== config.issuer) {
+    throw new Error("ID token issuer mismatch");
+  }
+  if (!audiences.includes(config.clientId)) {
+    throw new Error("ID token audience mismatch");
+  }
+  if (audiences.length > 1 && claims.azp !== config.clientId) {
+    throw new Error("ID token authorized party mismatch");
+  }
+  if (typeof claims.exp !== "number" || claims.exp + CLOCK_SKEW_SECONDS < now) {
+    throw new Error("ID token expired");
+  }
+  if (typeof claims.iat === "number" && claims.iat - CLOCK_SKEW_SECONDS > now) {
+    throw new Error("ID token issued in the future");
+  }
+  if (!claims.nonce || !safeEqual(claims.nonce, nonce)) {
+    throw new Error("ID token nonce mismatch");
+  }
+  if (!claims.sub) throw new Error("ID token has no subject");
+
+  return claims;
+};
+
+// Derive an unused username from the email's local part
+const generateUsername = async (email) => {
+  const base =
+    String(email)
+      .split("@")[0]
+      .replace(/[^a-zA-Z0-9_]/g, "")
+      .toLowerCase()
+      .slice(0, 14) || "user";
+  const padded = base.length < 3 ? `${base}___`.slice(0, 3) : base;
+
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const candidate =
+      attempt === 0
+        ? padded
+        : `${padded}_${crypto.randomInt(1000, 99999)}`.slice(0, 20);
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+  throw new Error("Failed to generate a unique username");
+};
+
+/**
+ * Find the user for verified ID token claims: by linked identity first,
+ * then by verified email (linking the identity), and finally by creating a
+ * new account when signup is open or a valid invite code was supplied.
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object} options - { inviteCode }
+ * @returns {Promise<Object>} - { user, created, linked } or { error }
+ */
+const resolveOidcUser = async (claims, { inviteCode } = {}) => {
+  const { issuer } = getOidcConfig();
+  const identity = { issuer, subject: String(claims.sub) };
+
+  const linkedUser = await User.findOne({
+    oidcIdentities: { $elemMatch: identity },
+  });
+  if (linkedUser) return { user: linkedUser, created: false, linked: false };
+
+  // Only trust an email the provider has verified
+  if (!claims.email || claims.email_verified !== true) {
+    return { error: "email_not_verified" };
+  }
+  const email = String(claims.email).toLowerCase().trim();
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser && existingUser.emailVerified) {
+    await User.updateOne(
+      { _id: existingUser._id },
+      { $push: { oidcIdentities: { ...identity, linkedAt: new Date() } } }
+    );
+    return { user: existingUser, created: false, linked: true };
+  }
+
+  // Nobody ever proved they own this address, so whoever registered it may
+  // not be the provider's user (account pre-hijacking). The provider's user
+  // takes the account over: every credential set up so far stops working.
+  if (existingUser) {
+    existingUser.password = generateSecureToken();
+    existingUser.emailVerified = true;
+    existingUser.emailVerifiedAt = new Date();
+    existingUser.twoFactorEnabled = false;
+    existingUser.twoFactorSecret = undefined;
+    existingUser.twoFactorPendingSecret = undefined;
+    existingUser.twoFactorRecoveryCodes = [];
+    existingUser.twoFactorLastUsedStep = undefined;
+    existingUser.oidcIdentities = [{ ...identity, linkedAt: new Date() }];
+    await existingUser.save();
+    await revokeUserCredentials(existingUser.userId, "oidc_takeover");
+    return { user: existingUser, created: false, linked: true };
+  }
+
+  const signupEnabled = await Settings.getValue("signupEnabled", false);
+  if (!signupEnabled) {
+    const invite = inviteCode ? await Invite.findByCode(inviteCode) : null;
+    if (!invite || invite.getUsageError(email)) {
+      return { error: "signup_disabled" };
+    }
+  }
+
+  const firstName = String(
+    claims.given_name || (claims.name || "").split(" ")[0] || "User"
+  ).slice(0, 50);
+  const lastName = String(
+    claims.family_name ||
+      (claims.name || "").split(" ").slice(1).join(" ") ||
+      firstName
+  ).slice(0, 50);
+
+  const user = new User({
+    username: await generateUsername(email),
+    email,
+    // Never used to log in; the user can set a password through a reset
+    password: generateSecureToken(),
+    firstName,
+    lastName,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    oidcIdentities: [{ ...identity, linkedAt: new Date() }],
+  });
+  await user.save();
+
+  // Use up the invite; if it ran out in the meantime, undo the signup
+  if (!signupEnabled) {
+    const redeemed = await Invite.redeem(inviteCode, {
+      userId: user.userId,
+      email,
+    });
+    if (!redeemed) {
+      await User.deleteOne({ _id: user._id });
+      return { error: "signup_disabled" };
+    }
+  }
+
+  try {
+    await Waitlist.linkUser(email, user.userId);
+  } catch (linkError) {
+    console.error("Waitlist link error:", linkError);
+  }
+
+  return { user, created: true, linked: true };
+};
+
+module.exports = {
+  getOidcConfig,
+  createLoginRequest,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+  resolveOidcUser,
+};
@@ -0,0 +1,81 @@
+/**
+ * Central permission map.
+ *
+ * Routes never check roles or subscriptions directly; they ask for a named
+ * capability through requirePermission(). Roles and subscription tiers each
+ * grant a set of capabilities and a user holds the union of both.
+ */
+
+const PERMISSIONS = {
+  QUIZ_HOST: "quiz.host", // create/publish/run live quizzes
+  QUIZ_READ_ALL: "quiz.read_all", // view any user's quizzes
+  SETTINGS_READ: "settings.read",
+  SETTINGS_WRITE: "settings.write",
+  WAITLIST_READ: "waitlist.read",
+  WAITLIST_WRITE: "waitlist.write",
+  USERS_READ: "users.read",
+  USERS_WRITE: "users.write", // role/subscription changes, (de)activation, force logout
+  SECURITY_MANAGE: "security.manage", // login lockouts
+  AUDIT_READ: "audit.read",
+  INVITES_MANAGE: "invites.manage",
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  student: [],
+  admin: ALL_PERMISSIONS,
+};
+
+const SUBSCRIPTION_PERMISSIONS = {
+  basic: [],
+  pro: [PERMISSIONS.QUIZ_HOST],
+};
+
+// Capabilities that only come from the admin role
+const ADMIN_ONLY_PERMISSIONS = ALL_PERMISSIONS.filter(
+  (permission) =>
+    !Object.values(SUBSCRIPTION_PERMISSIONS).some((granted) =>
+      granted.includes(permission)
+    )
+);
+
+/**
+ * Get every capability a user holds
+ * @param {Object} user - User document
+ * @returns {Set<String>} - Capability names
+ */
+const getPermissionsFor = (user) => {
+  if (!user) return new Set();
+  return new Set([
+    ...(ROLE_PERMISSIONS[user.role] || []),
+    ...(SUBSCRIPTION_PERMISSIONS[user.subscription] || []),
+  ]);
+};
+
+/**
+ * Check whether a user holds a capability
+ * @param {Object} user - User document
+ * @param {String} permission - Capability name
+ * @returns {Boolean} - True if granted
+ */
+const hasPermission = (user, permission) =>
+  getPermissionsFor(user).has(permission);
+
+/**
+ * Whether a capability is reserved for admins
+ * @param {String} permission - Capability name
+ * @returns {Boolean} - True if only the admin role grants it
+ */
+const isAdminPermission = (permission) =>
+  ADMIN_ONLY_PERMISSIONS.includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  ROLE_PERMISSIONS,
+  SUBSCRIPTION_PERMISSIONS,
+  getPermissionsFor,
+  hasPermission,
+  isAdminPermission,
+};
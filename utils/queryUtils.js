@@ -0,0 +1,28 @@
+/**
+ * Helpers for building list queries from request parameters
+ */
+
+/**
+ * Escape user input before using it in a $regex
+ * @param {String} value - Raw input
+ * @returns {String} - Regex-safe string
+ */
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Parse a sort parameter like "-joinedAt" against an allow-list of fields
+ * @param {String} sort - Field name, prefixed with "-" for descending
+ * @param {Array<String>} allowedFields - Sortable fields
+ * @param {Object} fallback - Sort used when the parameter is missing/invalid
+ * @returns {Object} - Mongoose sort object
+ */
+const parseSort = (sort, allowedFields, fallback) => {
+  if (!sort || typeof sort !== "string") return fallback;
+  const descending = sort.startsWith("-");
+  const field = descending ? sort.slice(1) : sort;
+  if (!allowedFields.includes(field)) return fallback;
+  return { [field]: descending ? -1 : 1 };
+};
+
+module.exports = { escapeRegex, parseSort };
@@ -1,4 +1,13 @@
-const jwt = require("jsonwebtoken");
+const { signJwt, verifyJwt, TOKEN_TYPES } = require("./jwtKeys");
+const Session = require("../models/Session");
+const AccessToken = require("../models/AccessToken");
+const { generateSecureToken } = require("./cryptoUtils");
+const { getAttemptStore } = require("./attemptStores");
+
+// Access tokens are short-lived; the refresh token keeps the session alive
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || "15m";
+
+const CHALLENGE_TOKEN_TTL_MS = 5 * 60 * 1000; // 5 minutes
 
 /**
  * Generate a random 16-character userId
@@ -14,6 +23,90 @@ const generateUserId = () => {
   return result;
 };
 
+/**
+ * Generate a short-lived access token bound to a session
+ * @param {String} userId - User ID
+ * @param {String} sessionId - Session ID the token belongs to
+ * @returns {String} - Signed JWT
+ */
+const generateToken = (userId, sessionId) => {
+  return signJwt(
+    { userId, sid: sessionId },
+    { type: TOKEN_TYPES.ACCESS, expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify an access token signature and expiry
+ * @param {String} token - JWT token
+ * @param {Object} options - Extra jsonwebtoken verify options
+ * @returns {Object} - Decoded token payload
+ */
+const verifyAccessToken = (token, options = {}) => {
+  return verifyJwt(token, { ...options, type: TOKEN_TYPES.ACCESS });
+};
+
+/**
+ * Generate a short-lived challenge token for a multi-step login.
+ * Challenge tokens carry no session id, so they are never accepted as
+ * access tokens.
+ * @param {String} userId - User ID
+ * @param {String} purpose - What the token may be used for (e.g. "2fa")
+ * @returns {String} - Signed JWT
+ */
+const generateChallengeToken = (userId, purpose) => {
+  return signJwt(
+    { userId, purpose, jti: generateSecureToken(16) },
+    { type: TOKEN_TYPES.CHALLENGE, expiresIn: CHALLENGE_TOKEN_TTL_MS / 1000 }
+  );
+};
+
+/**
+ * Verify a challenge token and its purpose, and use it up. Each token is
+ * accepted once; later attempts with the same token are rejected.
+ * @param {String} token - Challenge token
+ * @param {String} purpose - Expected purpose
+ * @returns {Promise<Object|null>} - Decoded payload or null if invalid or
+ *   already used
+ */
+const consumeChallengeToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = verifyJwt(token, { type: TOKEN_TYPES.CHALLENGE });
+  } catch (error) {
+    return null;
+  }
+  if (decoded.purpose !== purpose || !decoded.jti) return null;
+
+  const record = await getAttemptStore().increment(
+    `challenge:${decoded.jti}`,
+    CHALLENGE_TOKEN_TTL_MS
+  );
+  return record.count === 1 ? decoded : null;
+};
+
+/**
+ * Revoke every credential of a user: all sessions (optionally keeping the
+ * current one) and all personal access tokens
+ * @param {String} userId - User ID
+ * @param {String} reason - Why the sessions are revoked
+ * @param {Object} options - { exceptSessionId } session to keep
+ * @returns {Promise<Object>} - { revokedSessions, revokedAccessTokens }
+ */
+const revokeUserCredentials = async (
+  userId,
+  reason,
+  { exceptSessionId = null } = {}
+) => {
+  const revokedSessions = await Session.revokeAllForUser(
+    userId,
+    reason,
+    exceptSessionId
+  );
+  const revokedAccessTokens = await AccessToken.revokeAllForUser(userId);
+  return { revokedSessions, revokedAccessTokens };
+};
+
 /**
  * Cookie Management Utilities for User Sessions
  */
@@ -35,23 +128,29 @@ const USER_ID_COOKIE_CONFIG = {
   domain: process.env.NODE_ENV === "production" ? undefined : undefined, // Don't set domain for localhost
 };
 
+// Refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE_CONFIG = {
+  ...COOKIE_CONFIG,
+  path: "/api/auth",
+};
+
 /**
  * Set authentication cookies for a user
  * @param {Object} res - Express response object
  * @param {String} userId - User ID
  * @param {String} token - JWT token
+ * @param {String} refreshToken - Refresh token (optional)
  */
-const setUserSessionCookies = (res, userId, token) => {
-  console.log("Setting cookies for user:", userId);
-  console.log("Cookie config:", { COOKIE_CONFIG, USER_ID_COOKIE_CONFIG });
-
+const setUserSessionCookies = (res, userId, token, refreshToken) => {
   // Set httpOnly token cookie for security
   res.cookie("token", token, COOKIE_CONFIG);
 
   // Set userId cookie for frontend convenience
   res.cookie("userId", userId.toString(), USER_ID_COOKIE_CONFIG);
 
-  console.log("Cookies set successfully");
+  if (refreshToken) {
+    res.cookie("refreshToken", refreshToken, REFRESH_COOKIE_CONFIG);
+  }
 };
 
 /**
@@ -61,6 +160,45 @@ const setUserSessionCookies = (res, userId, token) => {
 const clearUserSessionCookies = (res) => {
   res.clearCookie("token");
   res.clearCookie("userId");
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_CONFIG.path });
+};
+
+/**
+ * Extract client metadata (IP and user-agent) for session tracking
+ * @param {Object} req - Express request object
+ * @returns {Object} - { ip, userAgent }
+ */
+const getClientInfo = (req) => {
+  return {
+    ip: req.ip || req.socket?.remoteAddress || "",
+    userAgent: req.headers["user-agent"] || "",
+  };
+};
+
+/**
+ * Start a new server-side session for a user and set its cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} user - User document
+ * @returns {Object} - Access token, refresh token and session
+ */
+const startUserSession = async (req, res, user) => {
+  const { session, refreshToken } = await Session.createForUser(
+    user.userId,
+    getClientInfo(req)
+  );
+  const token = generateToken(user.userId, session.sessionId);
+  setUserSessionCookies(res, user.userId, token, refreshToken);
+  return { token, refreshToken, session };
+};
+
+/**
+ * Extract refresh token from request cookies or body
+ * @param {Object} req - Express request object
+ * @returns {String|null} - Refresh token or null if not found
+ */
+const getRefreshTokenFromRequest = (req) => {
+  return req.cookies.refreshToken || req.body?.refreshToken || null;
 };
 
 /**
@@ -77,19 +215,10 @@ const getUserIdFromCookies = (req) => {
  * @param {Object} req - Express request object
  * @returns {String|null} - JWT token or null if not found
  */
-const getTokenFromRequest = (req) => {
-  console.log("Extracting token from request...");
-  console.log("Request cookies:", req.cookies);
-  console.log("Authorization header:", req.header("Authorization"));
-
-  const token =
-    req.cookies.token ||
-    req.header("Authorization")?.replace("Bearer ", "") ||
-    null;
-
-  console.log("Extracted token:", token ? "Token found" : "No token found");
-  return token;
-};
+const getTokenFromRequest = (req) =>
+  req.cookies.token ||
+  req.header("Authorization")?.replace("Bearer ", "") ||
+  null;
 
 /**
  * Verify if user session is valid
@@ -106,13 +235,19 @@ const verifyUserSession = async (req) => {
     }
 
     // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const decoded = verifyAccessToken(token);
 
     // Check if userId from cookie matches token
     if (userId && decoded.userId !== userId) {
       return { valid: false, error: "Token and userId mismatch" };
     }
 
+    // Check the server-side session has not been revoked
+    const session = await Session.findActive(decoded.sid);
+    if (!session || session.userId !== decoded.userId) {
+      return { valid: false, error: "Session revoked" };
+    }
+
     return {
       valid: true,
       userId: decoded.userId,
@@ -130,12 +265,21 @@ const verifyUserSession = async (req) => {
 };
 
 module.exports = {
+  generateToken,
+  verifyAccessToken,
+  generateChallengeToken,
+  consumeChallengeToken,
   setUserSessionCookies,
   clearUserSessionCookies,
+  startUserSession,
+  revokeUserCredentials,
+  getClientInfo,
   getUserIdFromCookies,
   getTokenFromRequest,
+  getRefreshTokenFromRequest,
   verifyUserSession,
   generateUserId,
   COOKIE_CONFIG,
   USER_ID_COOKIE_CONFIG,
+  REFRESH_COOKIE_CONFIG,
 };
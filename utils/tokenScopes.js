@@ -0,0 +1,53 @@
+/**
+ * Scopes for personal access tokens.
+ *
+ * A token only reaches the API areas listed here. Reads (GET) need the
+ * ":read" scope of the area and every other method needs ":write". Anything
+ * not listed, such as account, token and admin management, is closed to
+ * personal access tokens. Scopes only narrow access: the owner still needs
+ * the matching permission (e.g. quiz.host) for each route.
+ */
+
+const TOKEN_SCOPES = {
+  PROFILE_READ: "profile:read",
+  GOALS_READ: "goals:read",
+  GOALS_WRITE: "goals:write",
+  DAILY_TASKS_READ: "daily-tasks:read",
+  DAILY_TASKS_WRITE: "daily-tasks:write",
+  QUIZZES_READ: "quizzes:read",
+  QUIZZES_WRITE: "quizzes:write",
+};
+
+const ALL_TOKEN_SCOPES = Object.values(TOKEN_SCOPES);
+
+// Mount path -> scope area
+const SCOPED_AREAS = {
+  "/api/goals": "goals",
+  "/api/daily-tasks": "daily-tasks",
+  "/api/quizzes": "quizzes",
+  "/api/flags": "profile",
+};
+
+// Individual routes outside the scoped areas
+const SCOPED_ROUTES = {
+  "GET /api/auth/me": TOKEN_SCOPES.PROFILE_READ,
+};
+
+/**
+ * Work out which scope a request needs
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Scope name, or null if tokens may not be used
+ */
+const getRequiredScope = (req) => {
+  const route = `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, "");
+  if (SCOPED_ROUTES[route]) return SCOPED_ROUTES[route];
+
+  const area = SCOPED_AREAS[req.baseUrl];
+  if (!area) return null;
+
+  const access = ["GET", "HEAD"].includes(req.method) ? "read" : "write";
+  const scope = `${area}:${access}`;
+  return ALL_TOKEN_SCOPES.includes(scope) ? scope : null;
+};
+
+module.exports = { TOKEN_SCOPES, ALL_TOKEN_SCOPES, getRequiredScope };
@@ -0,0 +1,153 @@
+const crypto = require("crypto");
+
+/**
+ * TOTP (RFC 6238) helpers for two-factor authentication.
+ * Compatible with Google Authenticator, Authy, 1Password, etc.
+ */
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as base32 (no padding)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {String} - Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode a base32 string (case-insensitive, padding and spaces ignored)
+ * @param {String} input - Base32 string
+ * @returns {Buffer} - Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {String} - Base32 secret (160 bits)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Generate the TOTP code for a given time step
+ * @param {String} secret - Base32 secret
+ * @param {Number} step - Time step (seconds since epoch / period)
+ * @returns {String} - Zero-padded code
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Current TOTP time step
+ * @param {Number} now - Timestamp in ms (default Date.now())
+ * @returns {Number} - Time step
+ */
+const getTimeStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {String} secret - Base32 secret
+ * @param {String} code - Code entered by the user
+ * @param {Number} window - Number of steps accepted before/after now
+ * @returns {Number|null} - Matching time step, or null if invalid
+ */
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build an otpauth:// URI for authenticator apps (usually shown as a QR code)
+ * @param {Object} options - { secret, accountName, issuer }
+ * @returns {String} - otpauth URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer = "ZeroGravity" }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCodeForStep,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri,
+  base32Encode,
+  base32Decode,
+};
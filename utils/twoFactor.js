@@ -0,0 +1,35 @@
+const Settings = require("../models/Settings");
+
+// Settings key forcing admin accounts to use two-factor authentication
+const ADMIN_TWO_FACTOR_SETTING = "twoFactorRequiredForAdmins";
+
+/**
+ * Check whether a user is required to have 2FA enabled
+ * @param {Object} user - User document
+ * @returns {Boolean} - True if 2FA is mandatory for this user
+ */
+const isTwoFactorRequiredFor = async (user) => {
+  if (!user || user.role !== "admin") return false;
+  return (await Settings.getValue(ADMIN_TWO_FACTOR_SETTING, false)) === true;
+};
+
+/**
+ * Verify a second factor: a TOTP code or, failing that, a recovery code.
+ * Mutates the user (replay step / used recovery code); caller must save.
+ * @param {Object} user - User document
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {String|null} - "totp", "recovery_code" or null if invalid
+ */
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code && user.verifyTwoFactorCode(code)) return "totp";
+  if (recoveryCode && user.useRecoveryCode(recoveryCode)) {
+    return "recovery_code";
+  }
+  return null;
+};
+
+module.exports = {
+  ADMIN_TWO_FACTOR_SETTING,
+  isTwoFactorRequiredFor,
+  verifySecondFactor,
+};
@@ -0,0 +1,210 @@
+const Waitlist = require("../models/Waitlist");
+
+const DEFAULT_RANGE_DAYS = 90;
+const MAX_RANGE_DAYS = 366;
+const TOP_LIMIT = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a string is an IANA timezone Mongo date operators accept
+ * @param {string} timezone - Timezone name, e.g. "Asia/Kolkata"
+ * @returns {boolean} - True if valid
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Calendar date ("YYYY-MM-DD") of an instant in a timezone
+const toLocalDate = (date, timezone) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(date);
+
+// Every calendar date from one "YYYY-MM-DD" to another, inclusive
+const listDates = (first, last) => {
+  const dates = [];
+  const cursor = new Date(`${first}T00:00:00Z`);
+  const end = new Date(`${last}T00:00:00Z`);
+  while (cursor <= end) {
+    dates.push(cursor.toISOString().slice(0, 10));
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return dates;
+};
+
+// ISO week ("2026-W07") of a "YYYY-MM-DD" date, as Mongo's "%G-W%V"
+const toIsoWeek = (dateString) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  // The Thursday of the same week decides the ISO year
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const isoYear = date.getUTCFullYear();
+  const week = Math.floor((date - Date.UTC(isoYear, 0, 1)) / (7 * DAY_MS)) + 1;
+  return `${isoYear}-W${String(week).padStart(2, "0")}`;
+};
+
+/**
+ * Build waitlist growth analytics with a single aggregation round trip.
+ * The growth series and top lists only count confirmed entries: pending
+ * ones expire and are deleted, which would make past numbers shrink.
+ * @param {Object} options - { from, to, timezone } where from/to are Dates
+ *   bounding the per-day and per-week series
+ * @returns {Promise<Object>} - Series, totals, conversion and top lists
+ */
+const getWaitlistAnalytics = async ({ from, to, timezone = "UTC" }) => {
+  const inRange = {
+    ...Waitlist.CONFIRMED_FILTER,
+    joinedAt: { $gte: from, $lte: to },
+  };
+  const domainExpr = {
+    $toLower: { $arrayElemAt: [{ $split: ["$email", "@"] }, 1] },
+  };
+
+  const [result] = await Waitlist.aggregate([
+    {
+      $facet: {
+        daily: [
+          { $match: inRange },
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  format: "%Y-%m-%d",
+                  date: "$joinedAt",
+                  timezone,
+                },
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        before: [
+          { $match: { ...Waitlist.CONFIRMED_FILTER, joinedAt: { $lt: from } } },
+          { $count: "count" },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              total: { $sum: 1 },
+              pending: {
+                $sum: { $cond: [{ $eq: ["$isConfirmed", false] }, 1, 0] },
+              },
+              invited: { $sum: { $cond: ["$isNotified", 1, 0] } },
+              invitedRegistered: {
+                $sum: {
+                  $cond: [
+                    { $and: ["$isNotified", { $gt: ["$userId", null] }] },
+                    1,
+                    0,
+                  ],
+                },
+              },
+              registered: {
+                $sum: { $cond: [{ $gt: ["$userId", null] }, 1, 0] },
+              },
+            },
+          },
+        ],
+        topReferrers: [
+          {
+            $match: {
+              ...Waitlist.CONFIRMED_FILTER,
+              referralCount: { $gt: 0 },
+            },
+          },
+          { $sort: { referralCount: -1, joinedAt: 1 } },
+          { $limit: TOP_LIMIT },
+          {
+            $project: {
+              _id: 0,
+              id: "$_id",
+              name: 1,
+              email: 1,
+              referralCode: 1,
+              referralCount: 1,
+            },
+          },
+        ],
+        topDomains: [
+          { $match: Waitlist.CONFIRMED_FILTER },
+          { $group: { _id: domainExpr, count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: TOP_LIMIT },
+          { $project: { _id: 0, domain: "$_id", count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.totals[0] || {
+    total: 0,
+    pending: 0,
+    invited: 0,
+    invitedRegistered: 0,
+    registered: 0,
+  };
+
+  // One point per day of the range, including days without signups
+  const countsByDate = new Map(
+    result.daily.map(({ _id, count }) => [_id, count])
+  );
+  const daily = listDates(
+    toLocalDate(from, timezone),
+    toLocalDate(to, timezone)
+  ).map((date) => ({ date, count: countsByDate.get(date) || 0 }));
+
+  const weekly = [];
+  for (const { date, count } of daily) {
+    const week = toIsoWeek(date);
+    const last = weekly[weekly.length - 1];
+    if (last && last.week === week) last.count += count;
+    else weekly.push({ week, count });
+  }
+
+  // Running total on top of everyone confirmed who joined before the range
+  let runningTotal = result.before[0] ? result.before[0].count : 0;
+  const cumulative = daily.map(({ date, count }) => {
+    runningTotal += count;
+    return { date, total: runningTotal };
+  });
+
+  return {
+    range: { from, to, timezone },
+    signups: {
+      daily,
+      weekly,
+      cumulative,
+    },
+    totals: {
+      total: totals.total,
+      confirmed: totals.total - totals.pending,
+      pending: totals.pending,
+      registered: totals.registered,
+    },
+    conversion: {
+      invited: totals.invited,
+      registered: totals.invitedRegistered,
+      rate: totals.invited
+        ? Number((totals.invitedRegistered / totals.invited).toFixed(4))
+        : 0,
+    },
+    topReferrers: result.topReferrers,
+    topDomains: result.topDomains,
+  };
+};
+
+module.exports = {
+  getWaitlistAnalytics,
+  isValidTimezone,
+  DEFAULT_RANGE_DAYS,
+  MAX_RANGE_DAYS,
+};
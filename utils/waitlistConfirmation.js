@@ -0,0 +1,93 @@
+const Settings = require("../models/Settings");
+const { sendMail, buildFrontendUrl } = require("./mailer");
+const { waitlistConfirmEmail } = require("./emailTemplates");
+const {
+  signJwt,
+  verifyJwt,
+  TOKEN_TYPES,
+  MAX_TOKEN_LIFETIME_DAYS,
+} = require("./jwtKeys");
+
+// Settings key: days an unconfirmed entry is kept before it expires
+const CONFIRMATION_DAYS_SETTING = "waitlistConfirmationDays";
+const DEFAULT_CONFIRMATION_DAYS = 7;
+
+/**
+ * Number of days a pending entry has to confirm its email. Capped so the
+ * link outlives a signing key rotation.
+ * @returns {Number} - Days
+ */
+const getConfirmationDays = async () => {
+  const days = Number(
+    await Settings.getValue(
+      CONFIRMATION_DAYS_SETTING,
+      DEFAULT_CONFIRMATION_DAYS
+    )
+  );
+  return Math.min(
+    days > 0 ? days : DEFAULT_CONFIRMATION_DAYS,
+    MAX_TOKEN_LIFETIME_DAYS
+  );
+};
+
+/**
+ * Sign a confirmation token for a waitlist entry
+ * @param {Object} entry - Waitlist document
+ * @param {Number} days - Validity in days
+ * @returns {String} - Signed token
+ */
+const signConfirmationToken = (entry, days) => {
+  return signJwt(
+    { wid: String(entry._id), purpose: "waitlist_confirm" },
+    { type: TOKEN_TYPES.WAITLIST_CONFIRM, expiresIn: `${days}d` }
+  );
+};
+
+/**
+ * Verify a confirmation token
+ * @param {String} token - Signed token from the email link
+ * @returns {String|null} - Waitlist entry id or null if invalid/expired
+ */
+const verifyConfirmationToken = (token) => {
+  try {
+    const decoded = verifyJwt(token, { type: TOKEN_TYPES.WAITLIST_CONFIRM });
+    return decoded.purpose === "waitlist_confirm" ? decoded.wid : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the unsubscribe link carried by every waitlist email
+ * @param {Object} entry - Waitlist document
+ * @returns {String} - Absolute URL
+ */
+const buildUnsubscribeUrl = (entry) =>
+  buildFrontendUrl("/waitlist/unsubscribe", { token: entry.unsubscribeToken });
+
+/**
+ * Mail the double opt-in confirmation link
+ * @param {Object} entry - Pending waitlist document
+ * @param {Number} days - Days until the link and entry expire
+ */
+const sendWaitlistConfirmation = async (entry, days) => {
+  const token = signConfirmationToken(entry, days);
+
+  await sendMail({
+    to: entry.email,
+    ...waitlistConfirmEmail({
+      name: entry.name,
+      confirmUrl: buildFrontendUrl("/waitlist/confirm", { token }),
+      unsubscribeUrl: buildUnsubscribeUrl(entry),
+      expiresInDays: days,
+    }),
+  });
+};
+
+module.exports = {
+  CONFIRMATION_DAYS_SETTING,
+  getConfirmationDays,
+  verifyConfirmationToken,
+  buildUnsubscribeUrl,
+  sendWaitlistConfirmation,
+};
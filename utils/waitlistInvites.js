@@ -0,0 +1,67 @@
+const Invite = require("../models/Invite");
+const { sendMail, buildFrontendUrl } = require("./mailer");
+const { waitlistInviteEmail } = require("./emailTemplates");
+const { buildUnsubscribeUrl } = require("./waitlistConfirmation");
+
+const DEFAULT_INVITE_EXPIRY_DAYS = 14;
+
+/**
+ * Turn a waitlist entry into an email-bound invite: create the invite, mail
+ * it and mark the entry notified. If the mail cannot be sent the invite is
+ * revoked and the entry stays un-notified so it can be retried.
+ * @param {Object} entry - Waitlist document
+ * @param {Object} options - { createdByUserId, expiresInDays }
+ * @returns {Object} - { email, success, inviteCode?, error? }
+ */
+const inviteWaitlistEntry = async (
+  entry,
+  { createdByUserId, expiresInDays = DEFAULT_INVITE_EXPIRY_DAYS } = {}
+) => {
+  const expiresAt = new Date(
+    Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000
+  );
+
+  // Entries from before unsubscribe links existed get a token now
+  if (!entry.unsubscribeToken) {
+    entry.unsubscribeToken = entry.constructor.generateStatusToken();
+  }
+
+  const invite = new Invite({
+    createdByUserId,
+    email: entry.email,
+    maxUses: 1,
+    expiresAt,
+    note: "Waitlist invite",
+  });
+  await invite.save();
+
+  try {
+    await sendMail({
+      to: entry.email,
+      ...waitlistInviteEmail({
+        name: entry.name,
+        inviteCode: invite.code,
+        signupUrl: buildFrontendUrl("/signup", {
+          invite: invite.code,
+          email: entry.email,
+        }),
+        expiresAt,
+        unsubscribeUrl: buildUnsubscribeUrl(entry),
+      }),
+    });
+  } catch (error) {
+    console.error("Waitlist invite email error:", error);
+    invite.revokedAt = new Date();
+    await invite.save();
+    return { email: entry.email, success: false, error: "Email failed" };
+  }
+
+  entry.isNotified = true;
+  entry.notifiedAt = new Date();
+  entry.inviteCode = invite.code;
+  await entry.save();
+
+  return { email: entry.email, success: true, inviteCode: invite.code };
+};
+
+module.exports = { inviteWaitlistEntry, DEFAULT_INVITE_EXPIRY_DAYS };